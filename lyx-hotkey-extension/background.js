@@ -3,12 +3,35 @@
  * Handles extension state and communication between components
  */
 
-// Extension state
+// Extension state. The worker stops when idle and starts again with these
+// empty, so everything that reads them waits for stateLoaded (set up at the end) first
 let extensionEnabled = true;
 let hotkeyMappings = new Map();
+let stateVersion = 0;
+
+// Connections from the content script in every frame, through which state
+// is pushed. Each push carries a version, kept in session storage, that
+// grows with every change; frames only take a state newer than their own
+const statePorts = new Set();
+
+// Recent log entries from every page and extension context, newest last.
+// Mirrored to session storage so they outlive the worker going idle
+const LOG_BUFFER_SIZE = 1000;
+let logBuffer = [];
+let logSaveTimer = null;
+const logBufferLoaded = chrome.storage.session.get(['logBuffer']).then(result => {
+  logBuffer = [...(result.logBuffer || []), ...logBuffer].slice(-LOG_BUFFER_SIZE);
+});
 
 // Initialize extension
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+  // An update keeps the user's keymap, upgraded to the current format on load
+  await stateLoaded;
+  if (details.reason !== 'install') {
+    keymapSync.run();
+    return;
+  }
+
   // Load default LyX-style shortcuts
   const defaultMappings = await loadDefaultMappings();
   
@@ -16,6 +39,7 @@ chrome.runtime.onInstalled.addListener(async () => {
   await chrome.storage.local.set({ 
     enabled: true,
     hotkeyMappings: defaultMappings,
+    keymapVersion: LyXKeymapSchema.VERSION,
     config: ''
   });
   
@@ -24,28 +48,41 @@ chrome.runtime.onInstalled.addListener(async () => {
 
 // Handle extension startup
 chrome.runtime.onStartup.addListener(async () => {
-  const result = await chrome.storage.local.get(['enabled', 'hotkeyMappings']);
-  extensionEnabled = result.enabled ?? true;
+  await stateLoaded;
   
-  if (result.hotkeyMappings && Object.keys(result.hotkeyMappings).length > 0) {
-    hotkeyMappings = new Map(Object.entries(result.hotkeyMappings));
-  } else {
+  if (hotkeyMappings.size === 0) {
     // If no mappings, load defaults
     const defaultMappings = await loadDefaultMappings();
     hotkeyMappings = new Map(Object.entries(defaultMappings));
     await chrome.storage.local.set({ hotkeyMappings: defaultMappings });
   }
+
+  keymapSync.run();
 });
 
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  stateLoaded.then(() => handleMessage(request, sender, sendResponse));
+  return true; // Keep message channel open for async response
+});
+
+/**
+ * Answer a message once the stored state is loaded
+ * @param {Object} request - Message, {action, ...}
+ * @param {Object} sender - Message sender
+ * @param {Function} sendResponse - Reply callback
+ */
+function handleMessage(request, sender, sendResponse) {
   try {
     switch (request.action) {
       case 'getState':
-        sendResponse({
-          enabled: extensionEnabled,
-          mappings: Object.fromEntries(hotkeyMappings)
-        });
+        // The popup asks on behalf of the active tab; pages ask for themselves
+        getStateForUrl(
+          request.url || (sender.tab && sender.tab.url) || sender.url,
+          request.tabId ?? (sender.tab && sender.tab.id)
+        )
+          .then(sendResponse)
+          .catch(error => sendResponse({ success: false, error: error.message }));
         break;
         
       case 'toggleExtension':
@@ -53,132 +90,384 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         chrome.storage.local.set({ enabled: extensionEnabled });
         
         // Notify all tabs
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, {
-              action: 'extensionToggled',
-              enabled: extensionEnabled
-            }).catch(() => {}); // Ignore errors for tabs that can't receive messages
-          });
-        });
+        broadcastState();
         
         sendResponse({ enabled: extensionEnabled });
         break;
         
-      case 'updateMappings':
-        if (request.mappings && typeof request.mappings === 'object') {
+      case 'updateMappings': {
+        const mappingErrors = request.mappings && typeof request.mappings === 'object'
+          ? LyXKeymapSchema.validateMappings(request.mappings)
+          : ['Invalid mappings'];
+        if (mappingErrors.length === 0) {
           hotkeyMappings = new Map(Object.entries(request.mappings));
           chrome.storage.local.set({ 
             hotkeyMappings: request.mappings 
           });
           
           // Notify all tabs
-          chrome.tabs.query({}, (tabs) => {
-            tabs.forEach(tab => {
-              chrome.tabs.sendMessage(tab.id, {
-                action: 'mappingsUpdated',
-                mappings: request.mappings
-              }).catch(() => {});
-            });
-          });
+          broadcastState();
           
           sendResponse({ success: true });
         } else {
-          console.error('Invalid mappings provided:', request.mappings);
-          sendResponse({ success: false, error: 'Invalid mappings' });
+          log.error('Invalid mappings provided:', mappingErrors);
+          sendResponse({ success: false, error: mappingErrors.join('\n') });
         }
         break;
+      }
         
       case 'loadConfig':
-        loadConfigFromText(request.configText);
-        sendResponse({ success: true });
+        loadConfigFromText(request.configText)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => {
+            log.error('Failed to parse LyX config:', error);
+            sendResponse({ success: false, error: error.message });
+          });
         break;
         
-      case 'updateSequenceTimeout':
-        // Notify all tabs about sequence timeout change
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, {
-              action: 'sequenceTimeoutUpdated',
-              timeout: request.timeout
-            }).catch(() => {});
-          });
-        });
+      case 'updateSettings':
+        // Open tabs are updated by the storage listener below
+        LyXSettings.save(request.settings)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'updateProfiles':
+        chrome.storage.local.set({
+          profiles: request.profiles || {},
+          profileRules: request.profileRules || [],
+          denyList: request.denyList || []
+        })
+          .then(() => {
+            broadcastState();
+            sendResponse({ success: true });
+          })
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'setSiteDisabled':
+        setSiteDisabled(request.url, request.disabled)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'pauseTab':
+        // Without a duration the pause lasts until the tab reloads
+        setTabPause(request.tabId, request.minutes
+          ? { untilReload: false, until: Date.now() + request.minutes * 60 * 1000 }
+          : { untilReload: true, until: null })
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'resumeTab':
+        setTabPause(request.tabId, null)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
+      case 'log':
+        appendLogs(request.entries, sender);
         sendResponse({ success: true });
         break;
         
+      case 'getLogs':
+        logBufferLoaded.then(() => sendResponse({ success: true, entries: logBuffer }));
+        break;
+        
+      case 'clearLogs':
+        logBuffer = [];
+        chrome.storage.session.remove('logBuffer')
+          .then(() => sendResponse({ success: true }));
+        break;
+        
+      case 'syncNow':
+        keymapSync.run()
+          .then(status => sendResponse({ success: true, status }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        break;
+        
       default:
-        console.warn('Unknown action:', request.action);
+        log.warn('Unknown action:', request.action);
         sendResponse({ success: false, error: 'Unknown action' });
     }
   } catch (error) {
-    console.error('Error handling message:', error, request);
+    log.error('Error handling message:', error, request);
     sendResponse({ success: false, error: error.message });
   }
-  
-  return true; // Keep message channel open for async response
+}
+
+// Push settings to open tabs whenever they change, whoever changed them
+// (the options page, or another device through sync)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && LyXSettings.changedKeys(changes).length > 0) {
+    LyXSettings.load().then(settings => LyXLogger.configure(settings));
+    broadcastState();
+  }
 });
 
-// Handle tab updates to inject content script
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url && 
-      (tab.url.startsWith('http') || tab.url.startsWith('https'))) {
-    
-    // Send current state to the tab
-    chrome.tabs.sendMessage(tabId, {
-      action: 'extensionToggled',
-      enabled: extensionEnabled
-    }).catch(() => {}); // Ignore errors
-    
-    chrome.tabs.sendMessage(tabId, {
-      action: 'mappingsUpdated',
-      mappings: Object.fromEntries(hotkeyMappings)
-    }).catch(() => {});
+// Each content script connects when its frame loads or is shown again and
+// gets the current state; later changes are pushed over the same port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'lyx-state' || !port.sender.tab) {
+    return;
+  }
+
+  statePorts.add(port);
+  port.onDisconnect.addListener(() => statePorts.delete(port));
+  port.onMessage.addListener(async (message) => {
+    if (message.action === 'getState') {
+      await stateLoaded;
+      const version = stateVersion; // Taken before resolving, so a push made meanwhile wins
+      const tab = port.sender.tab;
+      postState(port, version, await getStateForUrl(tab.url, tab.id));
+    }
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // A reload or navigation ends a "pause until reload"
+  if (changeInfo.status === 'loading') {
+    clearReloadPause(tabId);
   }
+
+  // Pages that change their URL without loading may now fall under another profile
+  if (changeInfo.url) {
+    broadcastState(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  setTabPause(tabId, null);
 });
 
+/**
+ * Resolve the state a page should use: the keymap and dialect of the
+ * profile its URL maps to, whether the extension is enabled there and
+ * whether its tab is paused
+ * @param {string} url - Page URL (may be empty when unknown)
+ * @param {number} [tabId] - Tab the page is shown in
+ */
+async function getStateForUrl(url, tabId) {
+  await stateLoaded;
+  const settings = await LyXSettings.load();
+  const result = await chrome.storage.local.get(LyXProfiles.STORAGE_KEYS);
+  const { denied, profileId, profile } = LyXProfiles.resolve(url, result);
+
+  return {
+    enabled: extensionEnabled && !denied,
+    globalEnabled: extensionEnabled,
+    denied,
+    profile: { id: profileId, name: profile ? profile.name : LyXProfiles.DEFAULT_NAME },
+    mappings: profile ? (profile.mappings || {}) : Object.fromEntries(hotkeyMappings),
+    settings: applyProfileSettings(settings, profile),
+    pause: await getTabPause(tabId)
+  };
+}
+
+/**
+ * Override the global settings with those a site profile saved. Settings
+ * that are not profile settings or fail validation are ignored
+ * @param {Object} settings - Global settings
+ * @param {Object|null} profile - Resolved profile, null for the default profile
+ * @returns {Object} - Settings for the page
+ */
+function applyProfileSettings(settings, profile) {
+  const overrides = {};
+  for (const [key, value] of Object.entries((profile && profile.settings) || {})) {
+    const errors = LyXSettings.PROFILE_KEYS.includes(key)
+      ? LyXSettings.validate({ [key]: value })
+      : [`"${key}" is not a profile setting`];
+    if (errors.length > 0) {
+      log.warn(`⚠️ Ignoring setting of profile "${profile.name}": ${errors.join('; ')}`);
+      continue;
+    }
+    overrides[key] = value;
+  }
+
+  return {
+    ...settings,
+    ...overrides,
+    // A profile's own dialect overrides both the global and the per-site dialect
+    siteDialects: 'dialect' in overrides ? {} : settings.siteDialects
+  };
+}
+
+/**
+ * Add a page's host to the deny list, or remove every deny pattern matching it
+ * @param {string} url - Page URL
+ * @param {boolean} disabled - True to disable the extension on the site
+ */
+async function setSiteDisabled(url, disabled) {
+  const { denyList = [] } = await chrome.storage.local.get(['denyList']);
+  const hostname = new URL(url).hostname.toLowerCase();
+
+  const updated = disabled
+    ? (denyList.includes(hostname) ? denyList : [...denyList, hostname])
+    : denyList.filter(pattern => !LyXProfiles.matches(url, pattern));
+
+  await chrome.storage.local.set({ denyList: updated });
+  broadcastState();
+}
+
+/**
+ * Look up the pause of a tab. Pauses live in session storage, so they
+ * survive the service worker being suspended but not a browser restart
+ * @param {number} [tabId] - Tab id
+ * @returns {Promise<Object|null>} - {untilReload, until} or null when not paused
+ */
+async function getTabPause(tabId) {
+  if (tabId === undefined) {
+    return null;
+  }
+
+  const { tabPauses = {} } = await chrome.storage.session.get(['tabPauses']);
+  const pause = tabPauses[tabId];
+  if (!pause || (!pause.untilReload && pause.until <= Date.now())) {
+    return null;
+  }
+  return pause;
+}
+
+/**
+ * Pause a tab, or resume it when pause is null, and tell its pages
+ * @param {number} tabId - Tab id
+ * @param {Object|null} pause - {untilReload, until} or null
+ */
+async function setTabPause(tabId, pause) {
+  const { tabPauses = {} } = await chrome.storage.session.get(['tabPauses']);
+  if (pause) {
+    tabPauses[tabId] = pause;
+  } else if (tabId in tabPauses) {
+    delete tabPauses[tabId];
+  } else {
+    return;
+  }
+  await chrome.storage.session.set({ tabPauses });
+  broadcastState(tabId);
+}
+
+async function clearReloadPause(tabId) {
+  const pause = await getTabPause(tabId);
+  if (pause && pause.untilReload) {
+    await setTabPause(tabId, null);
+  }
+}
+
+/**
+ * Push the current state to every connected frame
+ * @param {number} [tabId] - Only push to the frames of this tab
+ */
+async function broadcastState(tabId) {
+  await stateLoaded;
+  const version = ++stateVersion;
+  chrome.storage.session.set({ stateVersion });
+  const tabs = await chrome.tabs.query({});
+  const states = new Map(); // Resolved once per tab, shared by its frames
+
+  for (const port of statePorts) {
+    const tab = tabs.find(candidate => candidate.id === port.sender.tab.id);
+    if (!tab || (tabId !== undefined && tab.id !== tabId)) {
+      continue;
+    }
+    if (!states.has(tab.id)) {
+      states.set(tab.id, getStateForUrl(tab.url, tab.id));
+    }
+    postState(port, version, await states.get(tab.id));
+  }
+}
+
+/**
+ * Send one frame a state
+ * @param {Port} port - Frame's connection
+ * @param {number} version - State version
+ * @param {Object} state - State from getStateForUrl()
+ */
+function postState(port, version, state) {
+  try {
+    port.postMessage({
+      action: 'state',
+      version,
+      enabled: state.enabled,
+      pause: state.pause,
+      mappings: state.mappings,
+      settings: state.settings
+    });
+  } catch (error) {
+    statePorts.delete(port); // The frame went away while the state was resolved
+  }
+}
+
+/**
+ * Add log entries to the ring buffer, tagged with where they came from
+ * @param {Array<Object>} entries - Entries from LyXLogger
+ * @param {Object} [sender] - Message sender; absent for the worker's own entries
+ */
+async function appendLogs(entries, sender = {}) {
+  if (!Array.isArray(entries)) {
+    return;
+  }
+
+  const source = sender.tab
+    ? { tabId: sender.tab.id, frameId: sender.frameId, url: sender.url || sender.tab.url }
+    : { url: sender.url };
+  await logBufferLoaded;
+  logBuffer.push(...entries.slice(-LOG_BUFFER_SIZE).map(entry => ({ ...entry, ...source })));
+  if (logBuffer.length > LOG_BUFFER_SIZE) {
+    logBuffer.splice(0, logBuffer.length - LOG_BUFFER_SIZE);
+  }
+
+  // Write at most once a second; key events arrive in bursts
+  if (!logSaveTimer) {
+    logSaveTimer = setTimeout(() => {
+      logSaveTimer = null;
+      chrome.storage.session.set({ logBuffer }).catch(() => {});
+    }, 1000);
+  }
+}
+
 /**
  * Load default LyX-style key mappings
  */
 async function loadDefaultMappings() {
   const defaultMappings = {
     // Math mode
-    'ctrl+m': { type: 'wrap', before: '$', after: '$' },
-    'ctrl+shift+m': { type: 'wrap', before: '$$\n', after: '\n$$' },
+    'ctrl+m': { type: 'format', command: 'math-mode' },
+    'ctrl+shift+m': { type: 'format', command: 'math-display' },
     
-    // Text formatting
-    'ctrl+b': { type: 'wrap', before: '**', after: '**' },
-    'ctrl+e': { type: 'wrap', before: '*', after: '*' },
-    'ctrl+u': { type: 'wrap', before: '_', after: '_' },
-    'ctrl+shift+p': { type: 'wrap', before: '`', after: '`' },
+    // Text formatting (rendered by the output dialect of the site)
+    'ctrl+b': { type: 'format', command: 'font-bold' },
+    'ctrl+e': { type: 'format', command: 'font-emph' },
+    'ctrl+u': { type: 'format', command: 'font-underline' },
+    'ctrl+shift+p': { type: 'format', command: 'font-typewriter' },
     
     // LaTeX commands (multi-key sequences)
-    'ctrl+l': { type: 'wrap', before: '\\', after: '' },
-    'ctrl+shift f': { type: 'insert', text: '\\frac{}{}' },
-    'ctrl+shift r': { type: 'insert', text: '\\sqrt{}' },
-    'ctrl+shift i': { type: 'insert', text: '\\int_{}^{}' },
+    'ctrl+l': { type: 'format', command: 'ert-insert' },
+    'ctrl+shift f': { type: 'insert', text: '\\frac{}{}', context: 'math' },
+    'ctrl+shift r': { type: 'insert', text: '\\sqrt{}', context: 'math' },
+    'ctrl+shift i': { type: 'insert', text: '\\int_{}^{}', context: 'math' },
     
-    // Greek letters (single keys)
-    'alt+g': { type: 'insert', text: '\\alpha' },
-    'alt+b': { type: 'insert', text: '\\beta' },
-    'alt+d': { type: 'insert', text: '\\delta' },
-    'alt+l': { type: 'insert', text: '\\lambda' },
-    'alt+m': { type: 'insert', text: '\\mu' },
-    'alt+p': { type: 'insert', text: '\\pi' },
-    'alt+s': { type: 'insert', text: '\\sigma' },
-    'alt+t': { type: 'insert', text: '\\theta' },
+    // Greek letters (single keys); like math-insert, they only fire inside math
+    'alt+g': { type: 'insert', text: '\\alpha', context: 'math' },
+    'alt+b': { type: 'insert', text: '\\beta', context: 'math' },
+    'alt+d': { type: 'insert', text: '\\delta', context: 'math' },
+    'alt+l': { type: 'insert', text: '\\lambda', context: 'math' },
+    'alt+m': { type: 'insert', text: '\\mu', context: 'math' },
+    'alt+p': { type: 'insert', text: '\\pi', context: 'math' },
+    'alt+s': { type: 'insert', text: '\\sigma', context: 'math' },
+    'alt+t': { type: 'insert', text: '\\theta', context: 'math' },
     
     // Greek letters (multi-key sequences with ctrl+l)
-    'ctrl+l a': { type: 'insert', text: '\\alpha' },
-    'ctrl+l b': { type: 'insert', text: '\\beta' },
-    'ctrl+l g': { type: 'insert', text: '\\gamma' },
-    'ctrl+l d': { type: 'insert', text: '\\delta' },
-    'ctrl+l e': { type: 'insert', text: '\\epsilon' },
-    'ctrl+l l': { type: 'insert', text: '\\lambda' },
-    'ctrl+l m': { type: 'insert', text: '\\mu' },
-    'ctrl+l p': { type: 'insert', text: '\\pi' },
-    'ctrl+l s': { type: 'insert', text: '\\sigma' },
-    'ctrl+l t': { type: 'insert', text: '\\theta' },
+    'ctrl+l a': { type: 'insert', text: '\\alpha', context: 'math' },
+    'ctrl+l b': { type: 'insert', text: '\\beta', context: 'math' },
+    'ctrl+l g': { type: 'insert', text: '\\gamma', context: 'math' },
+    'ctrl+l d': { type: 'insert', text: '\\delta', context: 'math' },
+    'ctrl+l e': { type: 'insert', text: '\\epsilon', context: 'math' },
+    'ctrl+l l': { type: 'insert', text: '\\lambda', context: 'math' },
+    'ctrl+l m': { type: 'insert', text: '\\mu', context: 'math' },
+    'ctrl+l p': { type: 'insert', text: '\\pi', context: 'math' },
+    'ctrl+l s': { type: 'insert', text: '\\sigma', context: 'math' },
+    'ctrl+l t': { type: 'insert', text: '\\theta', context: 'math' },
     
     // Special characters
     'alt+space': { type: 'insert', text: '\u00A0' }, // Non-breaking space
@@ -190,37 +479,126 @@ async function loadDefaultMappings() {
 }
 
 /**
- * Load configuration from LyX .bind file text
+ * Load the extension state from storage, upgrading a keymap stored by an
+ * older version first
  */
-async function loadConfigFromText(configText) {
+async function loadStoredState() {
+  await migrateStoredKeymap();
+  const result = await chrome.storage.local.get(['enabled', 'hotkeyMappings']);
+  const { stateVersion: storedVersion } = await chrome.storage.session.get(['stateVersion']);
+  extensionEnabled = result.enabled ?? true;
+  hotkeyMappings = new Map(Object.entries(result.hotkeyMappings || {}));
+  // Session storage is empty after a browser restart; pages that were open reload then anyway
+  stateVersion = storedVersion ?? Date.now();
+}
+
+/**
+ * Upgrade the stored keymap, and the keymaps of site profiles, written by an
+ * older version of the extension to the current keymap format
+ */
+async function migrateStoredKeymap() {
+  const result = await chrome.storage.local.get(['hotkeyMappings', 'keymapVersion', 'profiles']);
+  const fromVersion = result.keymapVersion || 1;
+  if (fromVersion >= LyXKeymapSchema.VERSION) {
+    return;
+  }
+
   try {
-    // Import the parser (we'll need to inject it into the background context)
-    const parser = new LyXConfigParser();
-    const mappings = parser.parse(configText);
-    
-    // Convert Map to object for storage
-    const mappingsObj = Object.fromEntries(mappings);
-    
-    hotkeyMappings = mappings;
-    await chrome.storage.local.set({ 
-      hotkeyMappings: mappingsObj,
-      config: configText
-    });
-    
-    // Notify all tabs
-    chrome.tabs.query({}, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'mappingsUpdated',
-          mappings: mappingsObj
-        }).catch(() => {});
-      });
-    });
-    
+    const updates = {
+      ...LyXKeymapSchema.migrateStoredData(result, fromVersion),
+      keymapVersion: LyXKeymapSchema.VERSION
+    };
+    await chrome.storage.local.set(updates);
+    log.info(`✅ Stored keymap upgraded from version ${fromVersion} to ${LyXKeymapSchema.VERSION}`);
   } catch (error) {
-    console.error('Failed to parse LyX config:', error);
+    log.error('Failed to migrate stored keymap:', error);
+  }
+}
+
+/**
+ * Apply values another device synced: parse the synced configuration text
+ * (or reload synced mappings, when there is none) and update open tabs
+ * @param {Array<string>} keys - Storage keys that changed
+ */
+async function handleSyncedChanges(keys) {
+  await stateLoaded;
+  const { config } = await chrome.storage.local.get(['config']);
+  if (config && keys.some(key => LyXSync.PARSE_KEYS.includes(key))) {
+    hotkeyMappings = await parseConfig(config);
+    await chrome.storage.local.set({ hotkeyMappings: Object.fromEntries(hotkeyMappings) });
+  } else if (keys.includes('hotkeyMappings')) {
+    const result = await chrome.storage.local.get(['hotkeyMappings']);
+    hotkeyMappings = new Map(Object.entries(result.hotkeyMappings || {}));
+  }
+
+  // Changed settings reach the tabs through the settings listener
+  broadcastState();
+}
+
+/**
+ * Load configuration from LyX .bind file text
+ * @param {string} configText - Bind file text
+ * @returns {Promise<void>} - Resolves once the mappings are stored
+ * @throws {Error} - If the text cannot be parsed or stored
+ */
+async function loadConfigFromText(configText) {
+  const mappings = await parseConfig(configText);
+  
+  // Convert Map to object for storage
+  const mappingsObj = Object.fromEntries(mappings);
+  
+  hotkeyMappings = mappings;
+  await chrome.storage.local.set({ 
+    hotkeyMappings: mappingsObj,
+    config: configText
+  });
+  
+  // Notify all tabs
+  broadcastState();
+}
+
+/**
+ * Parse configuration text with this device's parsing settings
+ * @param {string} configText - Bind file text
+ * @returns {Promise<Map>} - Mapping keys to actions
+ */
+async function parseConfig(configText) {
+  const settings = await LyXSettings.load();
+  const parser = new LyXConfigParser();
+  return parser.parse(configText, {
+    mapMetaToCtrl: settings.macMMapping === 'ctrl',
+    scopeMathBindings: settings.scopeMathBindings,
+    files: await loadBindFiles()
+  });
+}
+
+/**
+ * Load the files available to \bind_file: bundled ones plus uploaded ones
+ */
+async function loadBindFiles() {
+  const files = {};
+  for (const name of LyXConfigParser.BUNDLED_BIND_FILES) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(name));
+      files[name] = await response.text();
+    } catch (error) {
+      log.warn(`Failed to load bundled bind file ${name}:`, error);
+    }
   }
+
+  const result = await chrome.storage.local.get(['bindFiles']);
+  return { ...files, ...(result.bindFiles || {}) };
 }
 
 // We need to import the parser into the background script context
-importScripts('lyx-parser.js');
+importScripts('logger.js', 'key-names.js', 'keymap-trie.js', 'layouts.js', 'keymap-schema.js', 'lyx-parser.js', 'profiles.js', 'settings.js', 'sync.js');
+
+const log = new LyXLogger('background');
+LyXLogger.sink = (entries) => appendLogs(entries);
+LyXSettings.load().then(settings => LyXLogger.configure(settings));
+
+const stateLoaded = loadStoredState();
+
+// Mirror the keymap and settings to chrome.storage.sync when sync is turned on
+const keymapSync = new LyXSync({ onPulled: handleSyncedChanges });
+keymapSync.listen();
@@ -0,0 +1,173 @@
+/**
+ * Bind Text Editing for LyX Hotkey Extension
+ * Reads the \bind lines of a .bind file and edits them one line at a time,
+ * so the keymap editor leaves comments, includes and ordering untouched, and
+ * writes a mapping table back into .bind text for desktop LyX
+ */
+
+class LyXBindText {
+  /**
+   * List the bindings written in a bind file, including disabled ones
+   * (commented out as "#\bind ...")
+   * @param {string} text - Bind file content
+   * @returns {Array<{line: number, key: string, command: string, disabled: boolean}>} - Bindings
+   *   with their 0-based line index
+   */
+  static readBindings(text) {
+    const parser = new LyXConfigParser();
+    const bindings = [];
+
+    text.split('\n').forEach((line, index) => {
+      const disabled = line.match(LyXBindText.DISABLED_BIND);
+      const tokens = parser.tokenizeLine(disabled ? disabled[1] : line);
+      if (tokens[0] === '\\bind' && tokens.length >= 3) {
+        bindings.push({ line: index, key: tokens[1], command: tokens[2], disabled: !!disabled });
+      }
+    });
+
+    return bindings;
+  }
+
+  /**
+   * Write a mapping table as a .bind file. Lines of the source text are kept
+   * as they are wherever the mappings still match them, so comments,
+   * ordering, includes and commands only desktop LyX understands survive;
+   * changed bindings are rewritten in place, removed ones commented out,
+   * and new ones (e.g. from the defaults) appended
+   * @param {Map|Object} mappings - Mapping keys ("ctrl+l a") to actions
+   * @param {string} source - Bind file the mappings were parsed from, or ''
+   * @param {Object} options - Parser options used for the mappings (Mac mapping, files)
+   * @returns {string} - Bind file content
+   */
+  static serialize(mappings, source, options = {}) {
+    const table = mappings instanceof Map ? mappings : new Map(Object.entries(mappings));
+    const parser = new LyXConfigParser();
+    const parsed = parser.parse(source, options);
+    const sameAction = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // The binding each key of the source was built from (the last one wins)
+    const sourceByKey = new Map();
+    for (const binding of parser.sourceBindings) {
+      if (binding.normalizedKey) {
+        sourceByKey.set(binding.normalizedKey, binding);
+      }
+    }
+
+    const lines = source ? source.split('\n') : [`Format ${LyXConfigParser.LFUN_FORMAT}`, ''];
+    const added = [];
+
+    for (const [key, binding] of sourceByKey) {
+      const action = table.get(key);
+      if (sameAction(action, parsed.get(key))) {
+        continue; // Unchanged, including keys an unsupported command leaves unbound
+      }
+
+      if (binding.file) {
+        // Included files are not ours to edit: override or unbind after them
+        if (!action) {
+          added.push(`\\unbind ${LyXBindText.quote(binding.originalKey)} ${LyXBindText.quote(binding.command)}`);
+        }
+        continue;
+      }
+
+      const index = binding.line - 1;
+      const command = action && parser.actionToCommand(action);
+      if (command) {
+        lines[index] = LyXBindText.formatBindLine(binding.originalKey, command);
+      } else {
+        lines[index] = `#${lines[index]}`;
+        if (action) {
+          added.push(`# ${key} cannot be written as a LyX binding`);
+        }
+
+        // An earlier binding of the key, e.g. from an included file, would take over
+        const earlier = parser.sourceBindings
+          .filter(other => other !== binding && other.normalizedKey === key)
+          .pop();
+        if (earlier) {
+          added.push(`\\unbind ${LyXBindText.quote(earlier.originalKey)} ${LyXBindText.quote(earlier.command)}`);
+        }
+      }
+    }
+
+    for (const [key, action] of table) {
+      const binding = sourceByKey.get(key);
+      if (binding && (!binding.file || sameAction(action, parsed.get(key)))) {
+        continue; // Kept or rewritten above
+      }
+
+      const lyxKey = parser.formatKeySequence(LyXKeyNames.parseSequence(key), options);
+      const command = parser.actionToCommand(action);
+      added.push(lyxKey && command
+        ? LyXBindText.formatBindLine(lyxKey, command)
+        : `# ${key} cannot be written as a LyX binding`);
+    }
+
+    let text = lines.join('\n');
+    if (added.length > 0) {
+      text = LyXBindText.appendLine(text.replace(/\n*$/, '\n\n'), '# Bindings added in the LyX Hotkey extension');
+      text = added.reduce(LyXBindText.appendLine, text);
+    }
+    return text;
+  }
+
+  /**
+   * Write a \bind statement
+   * @param {string} key - LyX key sequence, e.g. "C-S-p"
+   * @param {string} command - LyX command
+   * @param {boolean} [disabled] - Comment the statement out
+   * @returns {string} - The line, e.g. \bind "A-g" "math-insert \\alpha"
+   */
+  static formatBindLine(key, command, disabled = false) {
+    return `${disabled ? '#' : ''}\\bind ${LyXBindText.quote(key)} ${LyXBindText.quote(command)}`;
+  }
+
+  /**
+   * Quote a token the way the LyX lexer reads it back
+   * @param {string} value - Token
+   * @returns {string} - Double-quoted token with \ and " escaped
+   */
+  static quote(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Replace or remove one line
+   * @param {string} text - Bind file content
+   * @param {number} index - 0-based line index
+   * @param {string|null} line - New line, or null to remove the line
+   * @returns {string} - Updated content
+   */
+  static setLine(text, index, line) {
+    const lines = text.split('\n');
+    if (line === null) {
+      lines.splice(index, 1);
+    } else {
+      lines[index] = line;
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Add a line at the end, keeping a trailing newline if the text had one
+   * @param {string} text - Bind file content
+   * @param {string} line - Line to add
+   * @returns {string} - Updated content
+   */
+  static appendLine(text, line) {
+    if (!text) {
+      return `${line}\n`;
+    }
+    return text.endsWith('\n') ? `${text}${line}\n` : `${text}\n${line}`;
+  }
+}
+
+// A \bind statement commented out by the keymap editor
+LyXBindText.DISABLED_BIND = /^\s*#\s*(\\bind\b.*)$/;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXBindText;
+} else if (typeof window !== 'undefined') {
+  window.LyXBindText = LyXBindText;
+}
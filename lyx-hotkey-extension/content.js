@@ -5,115 +5,227 @@
 
 class LyXHotkeyHandler {
   constructor() {
-    console.log('🏗️ LyX Extension: Initializing LyXHotkeyHandler...');
+    this.log = new LyXLogger('content');
+    this.log.debug('🏗️ Initializing LyXHotkeyHandler...');
     this.enabled = true;
     this.mappings = new Map();
+    this.keymap = new LyXKeymapTrie(); // Mappings compiled for lookup by pressed chords
     this.keySequence = [];
     this.sequenceTimeout = null;
-    this.sequenceTimeoutDuration = 1000; // 1 second timeout for sequences
+    this.settings = LyXSettings.withDefaults(); // Tunables, pushed by the background on every change
+    this.sequenceTimeoutDuration = this.settings.sequenceTimeout; // 0 waits indefinitely
+    this.overlay = new LyXSequenceOverlay(); // Shows the pending prefix and its completions
+    this.prefixPolicy = this.settings.prefixPolicy; // What to do when a binding is also a prefix
+    this.pendingBinding = null; // {action, element} of a bound prefix waiting for the timeout
+    this.dialect = LyXDialects.DEFAULT; // Output dialect for formatting commands on this site
     this.lastActiveElement = null;
+    this.editor = new LyXEditingLayer(); // All text mutations go through here
+    this.placeholderSession = null; // Last insertion with {} slots, for Tab navigation
+    this.pause = null; // {untilReload, until} while paused from the popup for this tab
+    this.matchMode = this.settings.matchMode; // 'character' (e.key) or 'physical' (e.code at US positions)
+    this.port = null; // Connection to the background, see connect()
+    this.stateVersion = 0; // Version of the last state taken from the background
     
-    console.log('🔧 LyX Extension: Starting initialization...');
+    this.log.debug('🔧 Starting initialization...');
     this.init();
   }
 
   init() {
-    // Listen for messages from background script
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      try {
-        switch (request.action) {
-          case 'extensionToggled':
-            this.enabled = request.enabled;
-            console.log(`LyX Extension ${this.enabled ? 'enabled' : 'disabled'}`);
-            break;
-          case 'mappingsUpdated':
-            if (request.mappings && typeof request.mappings === 'object') {
-              this.mappings = new Map(Object.entries(request.mappings));
-              console.log(`LyX Extension: Loaded ${this.mappings.size} hotkey mappings`);
-            } else {
-              console.warn('LyX Extension: Invalid mappings received:', request.mappings);
-            }
-            break;
-          case 'sequenceTimeoutUpdated':
-            if (request.timeout && typeof request.timeout === 'number') {
-              this.sequenceTimeoutDuration = request.timeout;
-              console.log(`LyX Extension: Sequence timeout updated to ${request.timeout}ms`);
-            }
-            break;
-        }
-      } catch (error) {
-        console.error('LyX Extension: Error handling message:', error, request);
+    this.connect();
+
+    // Pages going into the back/forward cache drop their connection (an
+    // open port would also keep them out of the cache); restored pages
+    // reconnect and catch up on whatever changed meanwhile
+    window.addEventListener('pagehide', () => this.disconnect());
+    window.addEventListener('pageshow', () => this.connect());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.connect();
       }
     });
 
-    // Request initial state with retry logic
-    this.requestInitialState();
-
     // Set up event listeners
     this.setupEventListeners();
   }
 
-  requestInitialState() {
-    chrome.runtime.sendMessage({ action: 'getState' }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.warn('LyX Extension: Failed to get state from background:', chrome.runtime.lastError);
-        // Retry after a short delay
-        setTimeout(() => this.requestInitialState(), 1000);
-        return;
+  /**
+   * Connect to the background, which answers with the current state and
+   * pushes every later change. The port closes when the background worker
+   * stops; it is reopened lazily, when the page is shown or focused or a
+   * key is pressed, so idle pages do not keep the worker running
+   */
+  connect() {
+    if (this.port || !chrome.runtime.id) {
+      return; // Already connected, or the extension was reloaded under this page
+    }
+
+    try {
+      this.port = chrome.runtime.connect({ name: 'lyx-state' });
+    } catch (error) {
+      this.log.warn('Failed to connect to background:', error);
+      return;
+    }
+    this.port.onMessage.addListener((message) => this.handleStateMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      this.log.debug('Disconnected from background');
+    });
+    this.port.postMessage({ action: 'getState' });
+  }
+
+  disconnect() {
+    if (this.port) {
+      this.port.disconnect();
+      this.port = null;
+    }
+  }
+
+  /**
+   * Take over a state pushed by the background if it is newer than the one
+   * this frame has. Versions only grow when the stored state changes, so a
+   * reconnect without changes in between leaves the frame as it is
+   * @param {Object} message - {action: 'state', version, enabled, pause, mappings, settings}
+   */
+  handleStateMessage(message) {
+    if (message.action !== 'state') {
+      return;
+    }
+    if (message.version <= this.stateVersion) {
+      this.log.trace(`Ignoring state ${message.version}, already at ${this.stateVersion}`);
+      return;
+    }
+    if (!message.mappings || typeof message.mappings !== 'object' || !message.settings) {
+      this.log.warn('Ignoring incomplete state:', message);
+      return;
+    }
+
+    try {
+      const wasEnabled = this.enabled;
+      const wasPaused = !!this.pause;
+      this.stateVersion = message.version;
+      this.enabled = message.enabled;
+      this.pause = message.pause || null;
+      this.applySettings(message.settings);
+      this.setMappings(message.mappings);
+
+      if (this.enabled !== wasEnabled) {
+        this.log.info(`Extension ${this.enabled ? 'enabled' : 'disabled'}`);
       }
-      
-      if (response) {
-        this.enabled = response.enabled;
-        if (response.mappings && typeof response.mappings === 'object') {
-          this.mappings = new Map(Object.entries(response.mappings));
-          console.log(`LyX Extension initialized: ${this.enabled ? 'enabled' : 'disabled'}, ${this.mappings.size} mappings`);
-        } else {
-          console.warn('LyX Extension: No valid mappings in response:', response);
-        }
-      } else {
-        console.warn('LyX Extension: No response from background script');
+      if (!!this.pause !== wasPaused) {
+        this.log.info(`${this.pause ? 'Paused' : 'Resumed'} in this tab`);
       }
-    });
+      this.log.debug(`State ${this.stateVersion}: ${this.enabled ? 'enabled' : 'disabled'}, ${this.mappings.size} mappings`);
+    } catch (error) {
+      this.log.error('Error applying state:', error, message);
+    }
+  }
+
+  setMappings(mappings) {
+    this.mappings = new Map(Object.entries(mappings));
+
+    // Compiled once per update; every keydown is then a walk down one branch
+    this.keymap = new LyXKeymapTrie(mappings);
+  }
+
+  isPaused() {
+    // Timed pauses simply run out; the background does not need to resume them
+    return !!this.pause && (this.pause.untilReload || Date.now() < this.pause.until);
+  }
+
+  /**
+   * Take over the settings that apply to this page
+   * @param {Object} settings - Settings from the background, see LyXSettings.DEFAULTS
+   */
+  applySettings(settings) {
+    this.settings = LyXSettings.withDefaults(settings);
+    this.sequenceTimeoutDuration = this.settings.sequenceTimeout;
+    this.prefixPolicy = this.settings.prefixPolicy;
+    this.matchMode = this.settings.matchMode;
+    this.applyDialect(this.settings.dialect, this.settings.siteDialects);
+    LyXLogger.configure(this.settings);
+    if (!this.settings.showOverlay) {
+      this.overlay.hide();
+    }
+    this.log.debug('Settings applied:', this.settings);
+  }
+
+  applyDialect(dialect, siteDialects) {
+    this.dialect = LyXDialects.resolve(location.hostname, dialect, siteDialects || {});
+    this.log.debug(`Using ${LyXDialects.get(this.dialect).name} output dialect`);
   }
 
   setupEventListeners() {
-    console.log('🎯 LyX Extension: Setting up event listeners...');
+    this.log.debug('🎯 Setting up event listeners...');
     document.addEventListener('keydown', (e) => {
-      console.log('🔑 LyX Extension: Keydown detected:', e.key, e.code, 'ctrl:', e.ctrlKey, 'alt:', e.altKey);
+      this.log.trace('🔑 Keydown detected:', e.key, e.code, 'ctrl:', e.ctrlKey, 'alt:', e.altKey);
       this.handleKeyDown(e);
     }, true);
     document.addEventListener('keyup', (e) => this.handleKeyUp(e), true);
     document.addEventListener('focus', (e) => this.handleFocus(e), true);
-    console.log('✅ LyX Extension: Event listeners set up successfully');
+    this.log.debug('✅ Event listeners set up successfully');
   }
 
   handleFocus(e) {
     // Track the currently focused element
     if (this.isEditableElement(e.target)) {
       this.lastActiveElement = e.target;
+      this.connect(); // Catch up on changes made while the background was asleep
+    }
+    if (this.placeholderSession && this.placeholderSession.element !== e.target) {
+      this.placeholderSession = null;
+    }
+    // Moving focus abandons a pending prefix
+    if (this.keySequence.length > 0) {
+      this.clearSequence();
     }
   }
 
   handleKeyDown(e) {
+    this.connect();
+
     if (!this.enabled) {
-      console.log('LyX Extension: Disabled, ignoring keydown');
+      this.log.trace('Disabled, ignoring keydown');
+      return;
+    }
+
+    if (this.isPaused()) {
+      this.log.trace('Paused in this tab, ignoring keydown');
       return;
     }
 
     // Only handle keys when in editable elements
     if (!this.isEditableElement(e.target)) {
-      console.log('LyX Extension: Not in editable element, ignoring keydown');
+      this.log.trace('Not in editable element, ignoring keydown');
       return;
     }
 
     const keyCombo = this.getKeyCombo(e);
     if (!keyCombo) {
-      console.log('LyX Extension: No key combo generated, ignoring keydown');
+      this.log.trace('No key combo generated, ignoring keydown');
       return;
     }
 
-    console.log(`LyX Extension: Processing key combo: ${keyCombo}`);
-    console.log(`LyX Extension: Current mappings count: ${this.mappings.size}`);
+    // Escape cancels a pending prefix, like C-g in LyX
+    if (this.keySequence.length > 0 && keyCombo === 'escape') {
+      this.log.debug(`🚫 Cancelled sequence "${this.keySequence.join(' ')}"`);
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      this.clearSequence();
+      return;
+    }
+
+    // Tab and Shift+Tab jump between the {} slots of the last template insertion
+    if (this.keySequence.length === 0 && (keyCombo === 'tab' || keyCombo === 'shift+tab') &&
+        this.jumpToPlaceholder(e.target, keyCombo === 'tab' ? 1 : -1)) {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      return;
+    }
+
+    this.log.debug(`Processing key combo: ${keyCombo}`);
+    this.log.trace(`Current mappings count: ${this.mappings.size}`);
     
     // Add to current sequence
     this.keySequence.push(keyCombo);
@@ -125,450 +237,701 @@ class LyXHotkeyHandler {
 
     // Check for matches
     const fullSequence = this.keySequence.join(' ');
-    console.log(`LyX Extension: Full sequence: "${fullSequence}"`);
+    this.log.debug(`Full sequence: "${fullSequence}"`);
     
-    const action = this.findMatchingAction(fullSequence);
-    console.log(`LyX Extension: Action found:`, action);
+    const node = this.keymap.lookup(this.keySequence);
+    const action = this.findMatchingAction(node, e.target);
+    this.log.trace(`Action found:`, action);
 
-    if (action) {
+    if (action && (!LyXKeymapTrie.isPrefix(node) || this.prefixPolicy === 'immediate')) {
       // Found a complete match - prevent default behavior
-      console.log(`LyX Extension: ✅ Executing action for "${fullSequence}":`, action);
+      this.log.info(`✅ Executing action for "${fullSequence}":`, action);
       e.preventDefault();
       e.stopPropagation();
       e.stopImmediatePropagation();
       this.executeAction(action, e.target);
       this.clearSequence();
-    } else if (this.hasPartialMatch(fullSequence)) {
-      // Partial match, wait for more keys - prevent default behavior
-      console.log(`LyX Extension: 🔄 Partial match for "${fullSequence}", waiting for more keys`);
+    } else if (LyXKeymapTrie.isPrefix(node)) {
+      // Partial match, wait for more keys - prevent default behavior. A binding
+      // for the prefix itself only fires later under the timeout policy; the
+      // strict policy treats the prefix as a prefix only, as LyX does
+      this.log.debug(`🔄 Partial match for "${fullSequence}", waiting for more keys`);
       e.preventDefault();
       e.stopPropagation();
       e.stopImmediatePropagation();
-      this.sequenceTimeout = setTimeout(() => {
-        console.log(`LyX Extension: ⏰ Sequence timeout for "${fullSequence}"`);
-        this.clearSequence();
-      }, this.sequenceTimeoutDuration);
+      this.pendingBinding = action && this.prefixPolicy === 'timeout' ? { action, element: e.target } : null;
+      const completions = LyXKeymapTrie.completions(node, this.keySequence.length);
+      if (this.settings.showOverlay) {
+        this.overlay.show(e.target, this.keySequence, completions, this.pendingBinding && action);
+      }
+      if (this.sequenceTimeoutDuration > 0) {
+        this.sequenceTimeout = setTimeout(() => {
+          this.log.debug(`⏰ Sequence timeout for "${fullSequence}"`);
+          this.firePendingBinding();
+        }, this.sequenceTimeoutDuration);
+      }
+    } else if (this.pendingBinding) {
+      // The key does not continue the prefix: run the prefix's own binding,
+      // then treat the key as the start of a new sequence
+      this.log.debug(`↩️ "${fullSequence}" does not continue the prefix, running its binding`);
+      this.firePendingBinding();
+      this.handleKeyDown(e);
     } else {
       // No match, clear sequence
-      console.log(`LyX Extension: ❌ No match for "${fullSequence}"`);
-      console.log(`LyX Extension: Available mappings:`, Array.from(this.mappings.keys()).slice(0, 10));
+      this.log.debug(`❌ No match for "${fullSequence}"`);
       this.clearSequence();
     }
   }
 
+  /**
+   * Run the binding of a prefix that was waiting for longer sequences, if any,
+   * and end the sequence
+   */
+  firePendingBinding() {
+    const pending = this.pendingBinding;
+    this.clearSequence();
+    if (pending) {
+      this.executeAction(pending.action, pending.element);
+    }
+  }
+
   handleKeyUp(e) {
     // Handle any key up events if needed
   }
 
   getKeyCombo(e) {
-    const parts = [];
-    
     // Detect platform for proper key mapping
     const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
     
-    // Add modifiers in consistent order
-    if (e.ctrlKey) parts.push('ctrl');
-    if (e.altKey) parts.push('alt');
-    if (e.shiftKey) parts.push('shift');
-    if (e.metaKey) parts.push('meta');
-
-    // Get the main key - use code for more reliable detection
-    let key = e.key.toLowerCase();
+    // In physical mode keys are named by their US position, so bindings work
+    // on any layout. For Mac, Option combinations produce special characters
+    // ("µ" for M), so use the physical key instead of the produced character
+    const physical = this.matchMode === 'physical' ||
+      (isMac && e.altKey && !e.ctrlKey && !e.metaKey);
     
-    // For Mac, handle Option key combinations that produce special characters
-    if (isMac && e.altKey && !e.ctrlKey && !e.metaKey) {
-      // Use the code property to get the physical key instead of the produced character
-      const codeToKey = {
-        'KeyA': 'a', 'KeyB': 'b', 'KeyC': 'c', 'KeyD': 'd', 'KeyE': 'e',
-        'KeyF': 'f', 'KeyG': 'g', 'KeyH': 'h', 'KeyI': 'i', 'KeyJ': 'j',
-        'KeyK': 'k', 'KeyL': 'l', 'KeyM': 'm', 'KeyN': 'n', 'KeyO': 'o',
-        'KeyP': 'p', 'KeyQ': 'q', 'KeyR': 'r', 'KeyS': 's', 'KeyT': 't',
-        'KeyU': 'u', 'KeyV': 'v', 'KeyW': 'w', 'KeyX': 'x', 'KeyY': 'y',
-        'KeyZ': 'z',
-        'Digit0': '0', 'Digit1': '1', 'Digit2': '2', 'Digit3': '3', 'Digit4': '4',
-        'Digit5': '5', 'Digit6': '6', 'Digit7': '7', 'Digit8': '8', 'Digit9': '9',
-        'Space': 'space'
-      };
-      
-      if (codeToKey[e.code]) {
-        key = codeToKey[e.code];
-      }
+    // Modifiers in consistent order, then the canonical key name;
+    // null for modifier-only presses
+    return LyXKeyNames.chordFromEvent(e, { physical });
+  }
+
+  /**
+   * Find the action bound to a pressed sequence that applies at the caret
+   * @param {Object|null} node - Keymap node of the pressed sequence, see LyXKeymapTrie.lookup()
+   * @param {Element} element - Focused editable element
+   * @returns {Object|undefined} - The action, if bound in the current context
+   */
+  findMatchingAction(node, element) {
+    if (!node || !node.binding) {
+      return undefined;
     }
-    
-    // Normalize special keys
-    const keyNormalizations = {
-      ' ': 'space',
-      'arrowleft': 'left',
-      'arrowright': 'right',
-      'arrowup': 'up',
-      'arrowdown': 'down',
-      'pageup': 'prior',
-      'pagedown': 'next'
-    };
-    
-    key = keyNormalizations[key] || key;
-    
-    // Skip modifier-only presses
-    if (['control', 'alt', 'shift', 'meta'].includes(key)) {
-      return null;
+    const { key: sequence, action } = node.binding;
+    if (!action || !action.context || action.context === 'any') {
+      return action;
     }
 
-    parts.push(key);
-    return parts.join('+');
-  }
+    const context = this.getCaretContext(element);
+    if (action.context !== context) {
+      this.log.debug(`Binding for "${sequence}" only applies in ${action.context} context, caret is in ${context}`);
+      return undefined;
+    }
+    return action;
+  }
+
+  /**
+   * Determine whether the caret is inside a math region of the field's text
+   * @param {Element} element - Focused editable element
+   * @returns {string} - 'math' or 'text'
+   */
+  getCaretContext(element) {
+    return this.findOpenMathDelimiter(this.editor.getTextBeforeCaret(element)) ? 'math' : 'text';
+  }
+
+  /**
+   * Scan text for math delimiters ($...$, $$...$$, \(...\), \[...\])
+   * @param {string} text - Text preceding the caret
+   * @returns {string|null} - The delimiter of the math region still open at the end, if any
+   */
+  findOpenMathDelimiter(text) {
+    const closers = { '$': '$', '$$': '$$', '\\(': '\\)', '\\[': '\\]' };
+    let open = null;
+
+    for (let i = 0; i < text.length; i++) {
+      let token = null;
+
+      if (text[i] === '\\') {
+        const next = text[i + 1];
+        if (next === '(' || next === ')' || next === '[' || next === ']') {
+          token = '\\' + next;
+        }
+        i++; // Skip escaped characters such as \$ and \\
+      } else if (text[i] === '$') {
+        token = text[i + 1] === '$' ? '$$' : '$';
+        i += token.length - 1;
+      }
 
-  findMatchingAction(sequence) {
-    return this.mappings.get(sequence);
-  }
+      if (!token) continue;
 
-  hasPartialMatch(sequence) {
-    for (const key of this.mappings.keys()) {
-      if (key.startsWith(sequence + ' ')) {
-        console.log(`🔍 LyX Extension: Partial match found: "${sequence}" matches start of "${key}"`);
-        return true;
+      if (open === null && closers[token]) {
+        open = token;
+      } else if (open !== null && closers[open] === token) {
+        open = null;
       }
     }
-    return false;
+
+    return open;
   }
 
   clearSequence() {
     this.keySequence = [];
+    this.pendingBinding = null;
+    this.overlay.hide();
     if (this.sequenceTimeout) {
       clearTimeout(this.sequenceTimeout);
       this.sequenceTimeout = null;
     }
   }
 
+  /**
+   * Execute an action on the target element
+   * @param {Object} action - Action object produced by the parser
+   * @param {Element} element - Target editable element
+   * @returns {boolean} - False if the action could not be applied
+   */
   executeAction(action, element) {
-    console.log(`LyX Extension: 🚀 Starting action execution:`, action);
-    console.log(`LyX Extension: Target element:`, element.tagName, element.type, element.className);
+    this.log.trace(`🚀 Starting action execution:`, action);
+    this.log.trace(`Target element:`, element.tagName, element.type, element.className);
     
     try {
+      let applied;
       switch (action.type) {
         case 'insert':
-          console.log(`LyX Extension: Inserting text: "${action.text}"`);
-          this.insertText(action.text, element);
+          this.log.debug(`Inserting text: "${action.text}"`);
+          applied = this.insertText(action.text, element);
           break;
         case 'wrap':
-          console.log(`LyX Extension: Wrapping with: "${action.before}" ... "${action.after}"`);
-          this.wrapSelection(action.before, action.after, element);
+          this.log.debug(`Wrapping with: "${action.before}" ... "${action.after}"`);
+          applied = this.wrapSelection(action.before, action.after, element);
+          break;
+        case 'format': {
+          const rendered = LyXDialects.render(action.command, this.dialect);
+          this.log.debug(`Formatting ${action.command} as ${this.dialect}:`, rendered);
+          applied = rendered ? this.executeAction(rendered, element) : false;
           break;
+        }
         case 'navigation':
-          console.log(`LyX Extension: Navigation action: ${action.action}`);
-          this.handleNavigation(action.action, element);
+          this.log.debug(`Navigation action: ${action.action}`);
+          applied = this.handleNavigation(action.action, element);
           break;
         case 'selection':
-          console.log(`LyX Extension: Selection action: ${action.action}`);
-          this.handleSelection(action.action, element);
+          this.log.debug(`Selection action: ${action.action}`);
+          applied = this.handleSelection(action.action, element);
           break;
         case 'delete':
-          console.log(`LyX Extension: Delete action: ${action.action}`);
-          this.handleDeletion(action.action, element);
+          this.log.debug(`Delete action: ${action.action}`);
+          applied = this.handleDeletion(action.action, element);
           break;
         case 'clipboard':
-          console.log(`LyX Extension: Clipboard action: ${action.action}`);
-          this.handleClipboard(action.action, element);
+          this.log.debug(`Clipboard action: ${action.action}`);
+          applied = this.handleClipboard(action.action, element);
           break;
         case 'edit':
-          console.log(`LyX Extension: Edit action: ${action.action}`);
-          this.handleEdit(action.action, element);
+          this.log.debug(`Edit action: ${action.action}`);
+          applied = this.handleEdit(action.action, element);
+          break;
+        case 'sequence':
+          this.log.debug(`Command sequence of ${action.actions.length} actions`);
+          applied = this.executeSequence(action.actions, element);
+          break;
+        case 'alternatives':
+          this.log.debug(`Command alternatives of ${action.actions.length} actions`);
+          applied = this.executeAlternatives(action.actions, element);
           break;
         default:
-          console.warn('LyX Extension: Unknown action type:', action.type);
+          this.log.warn('Unknown action type:', action.type);
+          applied = false;
       }
-      console.log(`LyX Extension: ✅ Action execution completed successfully`);
+      this.log.debug(`✅ Action execution completed ${applied === false ? '(not applicable)' : 'successfully'}`);
+      return applied !== false;
     } catch (error) {
-      console.error('LyX Extension: ❌ Error executing action:', error, action);
+      this.log.error('❌ Error executing action:', error, action);
       // Don't let errors break the extension state
+      return false;
     }
   }
 
+  executeSequence(actions, element) {
+    // Like LyX's command-sequence, every action runs even if an earlier one did not apply
+    let applied = false;
+    for (const action of actions) {
+      if (this.executeAction(action, element)) {
+        applied = true;
+      }
+    }
+    return applied;
+  }
+
+  executeAlternatives(actions, element) {
+    // Like LyX's command-alternatives, run the first action that applies
+    for (const action of actions) {
+      if (this.executeAction(action, element)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   insertText(text, element) {
-    console.log(`LyX Extension: 📝 insertText called with text: "${text}"`);
-    console.log(`LyX Extension: Element check - isEditable: ${this.isEditableElement(element)}`);
+    this.log.trace(`📝 insertText called with text: "${text}"`);
+    this.log.trace(`Element check - isEditable: ${this.isEditableElement(element)}`);
     
     if (!this.isEditableElement(element)) {
-      console.warn(`LyX Extension: ❌ Element not editable, cannot insert text`);
-      return;
+      this.log.warn(`❌ Element not editable, cannot insert text`);
+      return false;
     }
 
-    console.log(`LyX Extension: Element type: ${element.tagName}, contentEditable: ${element.isContentEditable}`);
+    this.log.trace(`Element type: ${element.tagName}, contentEditable: ${element.isContentEditable}`);
+
+    if (text.includes(LyXHotkeyHandler.PLACEHOLDER)) {
+      return this.insertTemplate(text, element);
+    }
     
+    let inserted;
     if (element.isContentEditable) {
-      console.log(`LyX Extension: Using contentEditable insertion`);
-      this.insertInContentEditable(text, element);
+      this.log.trace(`Using contentEditable insertion`);
+      inserted = this.insertInContentEditable(text, element);
     } else {
-      console.log(`LyX Extension: Using form field insertion`);
-      this.insertInFormField(text, element);
+      this.log.trace(`Using form field insertion`);
+      inserted = this.insertInFormField(text, element);
     }
     
-    console.log(`LyX Extension: ✅ Text insertion completed`);
-  }
+    this.log.trace(`✅ Text insertion ${inserted ? 'completed' : 'failed'}`);
+    return inserted;
+  }
+
+  /**
+   * Insert text containing {} placeholder slots. The selected text (if any)
+   * fills the first slot and the caret lands in the first empty one.
+   * @param {string} text - Template such as \frac{}{}
+   * @param {Element} element - Target editable element
+   * @returns {boolean} - False if the insertion failed
+   */
+  insertTemplate(text, element) {
+    const marker = LyXHotkeyHandler.PLACEHOLDER;
+    const selectedText = this.editor.getSelectedText(element);
+    const start = this.editor.getTextBeforeCaret(element).length;
+
+    let filled = text;
+    let searchFrom = 0;
+    if (selectedText) {
+      const slot = text.indexOf(marker) + 1;
+      filled = text.slice(0, slot) + selectedText + text.slice(slot);
+      searchFrom = slot + selectedText.length;
+    }
 
-  insertInFormField(text, element) {
-    console.log(`LyX Extension: 🔤 insertInFormField - text: "${text}"`);
-    
-    const start = element.selectionStart;
-    const end = element.selectionEnd;
-    const value = element.value;
+    const inserted = element.isContentEditable
+      ? this.insertInContentEditable(filled, element)
+      : this.insertInFormField(filled, element);
+    if (!inserted) {
+      return false;
+    }
 
-    console.log(`LyX Extension: Cursor position: ${start}-${end}, current value length: ${value.length}`);
+    const end = start + filled.length;
+    this.placeholderSession = {
+      element,
+      start,
+      // Distance from the template end to the end of the text stays fixed
+      // while the user types inside the template
+      tailLength: this.editor.getText(element).length - end
+    };
 
-    // Insert text at cursor position
-    const newValue = value.slice(0, start) + text + value.slice(end);
-    element.value = newValue;
+    const emptySlot = filled.indexOf(marker, searchFrom);
+    this.editor.setCaretOffset(element, emptySlot === -1 ? end : start + emptySlot + 1);
+    this.log.debug(`Template inserted, caret in ${emptySlot === -1 ? 'end position' : 'first empty slot'}`);
+    return true;
+  }
+
+  /**
+   * Move the caret to the next or previous empty {} slot of the last template
+   * @param {Element} element - Focused editable element
+   * @param {number} direction - 1 for the next slot, -1 for the previous one
+   * @returns {boolean} - False if there is no template session to navigate
+   */
+  jumpToPlaceholder(element, direction) {
+    const session = this.placeholderSession;
+    if (!session || session.element !== element) {
+      return false;
+    }
 
-    console.log(`LyX Extension: New value set, length: ${newValue.length}`);
+    const text = this.editor.getText(element);
+    const end = text.length - session.tailLength;
+    const caret = this.editor.getTextBeforeCaret(element).length;
+    if (end < session.start || caret < session.start || caret > end) {
+      // The caret left the template or the text changed around it
+      this.placeholderSession = null;
+      return false;
+    }
 
-    // Position cursor after inserted text
-    const newCursorPos = start + text.length;
-    element.setSelectionRange(newCursorPos, newCursorPos);
+    const template = text.slice(session.start, end);
+    const marker = LyXHotkeyHandler.PLACEHOLDER;
+    const offset = caret - session.start;
+    const slot = direction > 0
+      ? template.indexOf(marker, offset)
+      : template.lastIndexOf(marker, offset - 2);
 
-    console.log(`LyX Extension: Cursor positioned at: ${newCursorPos}`);
+    if (slot === -1) {
+      // Past the last slot, leave the template like LyX leaves an inset
+      if (direction > 0) {
+        this.editor.setCaretOffset(element, end);
+        this.placeholderSession = null;
+      }
+      return true;
+    }
 
-    // Trigger input event
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    
-    console.log(`LyX Extension: ✅ Form field insertion completed`);
+    this.editor.setCaretOffset(element, session.start + slot + 1);
+    return true;
   }
 
-  insertInContentEditable(text, element) {
-    const selection = window.getSelection();
-    if (selection.rangeCount === 0) return;
+  insertInFormField(text, element) {
+    this.log.trace(`🔤 insertInFormField - text: "${text}"`);
+    this.log.trace(`Cursor position: ${element.selectionStart}-${element.selectionEnd}, current value length: ${element.value.length}`);
 
-    const range = selection.getRangeAt(0);
-    range.deleteContents();
+    // The editing layer keeps the native undo stack and fires input events
+    return this.editor.insertText(element, text);
+  }
 
-    const textNode = document.createTextNode(text);
-    range.insertNode(textNode);
+  insertInContentEditable(text, element) {
+    if (window.getSelection().rangeCount === 0) return false;
 
-    // Move cursor after inserted text
-    range.setStartAfter(textNode);
-    range.setEndAfter(textNode);
-    selection.removeAllRanges();
-    selection.addRange(range);
+    return this.editor.insertText(element, text);
   }
 
   wrapSelection(before, after, element) {
-    if (!this.isEditableElement(element)) return;
+    if (!this.isEditableElement(element)) return false;
 
     if (element.isContentEditable) {
-      this.wrapSelectionInContentEditable(before, after, element);
+      return this.wrapSelectionInContentEditable(before, after, element);
     } else {
-      this.wrapSelectionInFormField(before, after, element);
+      return this.wrapSelectionInFormField(before, after, element);
     }
   }
 
   wrapSelectionInFormField(before, after, element) {
     const start = element.selectionStart;
-    const end = element.selectionEnd;
-    const value = element.value;
-    const selectedText = value.slice(start, end);
+    const selectedText = element.value.slice(start, element.selectionEnd);
 
-    const wrappedText = before + selectedText + after;
-    const newValue = value.slice(0, start) + wrappedText + value.slice(end);
-    element.value = newValue;
+    // Replace the selection in one edit so a single undo restores it
+    if (!this.editor.insertText(element, before + selectedText + after)) {
+      return false;
+    }
 
     // Select the wrapped content (without the wrapper)
     const newStart = start + before.length;
-    const newEnd = newStart + selectedText.length;
-    element.setSelectionRange(newStart, newEnd);
-
-    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.setSelectionRange(newStart, newStart + selectedText.length);
+    return true;
   }
 
   wrapSelectionInContentEditable(before, after, element) {
     const selection = window.getSelection();
-    if (selection.rangeCount === 0) return;
+    if (selection.rangeCount === 0) return false;
+
+    const selectedText = selection.toString();
+    if (!this.editor.insertText(element, before + selectedText + after)) {
+      return false;
+    }
 
-    const range = selection.getRangeAt(0);
-    const selectedText = range.toString();
+    // Select the content between the wrappers
+    this.editor.selectBeforeCaret(element, after.length, selectedText.length);
+    return true;
+  }
 
-    range.deleteContents();
+  handleNavigation(action, element) {
+    const motions = {
+      moveRight: 'charForward',
+      moveLeft: 'charBackward',
+      moveWordRight: 'wordForward',
+      moveWordLeft: 'wordBackward',
+      moveLineStart: 'lineStart',
+      moveLineEnd: 'lineEnd',
+      moveUp: 'lineUp',
+      moveDown: 'lineDown',
+      moveParagraphUp: 'paragraphUp',
+      moveParagraphDown: 'paragraphDown',
+      moveDocumentStart: 'documentStart',
+      moveDocumentEnd: 'documentEnd'
+    };
 
-    const beforeNode = document.createTextNode(before);
-    const afterNode = document.createTextNode(after);
-    const contentNode = document.createTextNode(selectedText);
+    if (!motions[action]) {
+      return false;
+    }
+    return this.moveSelection(element, motions[action]);
+  }
 
-    range.insertNode(beforeNode);
-    range.setStartAfter(beforeNode);
-    range.insertNode(contentNode);
-    range.setStartAfter(contentNode);
-    range.insertNode(afterNode);
+  /**
+   * Move the caret by one motion (see MOTIONS), collapsing any selection
+   * @param {Element} element - Target editable element
+   * @param {string} motionName - Name of the motion
+   * @returns {boolean} - False if the caret could not be moved
+   */
+  moveSelection(element, motionName) {
+    const motion = LyXHotkeyHandler.MOTIONS[motionName];
 
-    // Select the content between the wrappers
-    range.setStartAfter(beforeNode);
-    range.setEndBefore(afterNode);
-    selection.removeAllRanges();
-    selection.addRange(range);
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      if (selection.rangeCount === 0 || typeof selection.modify !== 'function') {
+        return false;
+      }
+      // Selection.modify works on the rendered layout, so line motions follow visual lines
+      selection.modify('move', motion.direction, motion.granularity);
+      return true;
+    }
+
+    if (typeof element.setSelectionRange !== 'function' || element.selectionStart === null) {
+      return false;
+    }
+
+    const { focus } = this.getFormFieldSelection(element);
+    const target = this.findMotionTarget(element.value, focus, motion);
+    element.setSelectionRange(target, target);
+    return true;
   }
 
-  handleNavigation(action, element) {
-    // Implement navigation actions
-    const actions = {
-      moveRight: () => this.moveCursor(element, 1),
-      moveLeft: () => this.moveCursor(element, -1),
-      moveWordRight: () => this.moveWord(element, 1),
-      moveWordLeft: () => this.moveWord(element, -1),
-      moveLineStart: () => this.moveToLineStart(element),
-      moveLineEnd: () => this.moveToLineEnd(element),
-      moveDocumentStart: () => this.moveToDocumentStart(element),
-      moveDocumentEnd: () => this.moveToDocumentEnd(element)
+  handleSelection(action, element) {
+    // Selection actions move the focus end of the selection while the anchor
+    // stays put, so repeated presses extend (or shrink) it in the right direction
+    const motions = {
+      selectRight: 'charForward',
+      selectLeft: 'charBackward',
+      selectWordRight: 'wordForward',
+      selectWordLeft: 'wordBackward',
+      selectLineStart: 'lineStart',
+      selectLineEnd: 'lineEnd',
+      selectUp: 'lineUp',
+      selectDown: 'lineDown',
+      selectParagraphUp: 'paragraphUp',
+      selectParagraphDown: 'paragraphDown',
+      selectDocumentStart: 'documentStart',
+      selectDocumentEnd: 'documentEnd'
     };
 
-    if (actions[action]) {
-      actions[action]();
+    if (!motions[action]) {
+      return false;
     }
+    return this.extendSelection(element, motions[action]);
   }
 
-  moveCursor(element, offset) {
-    if (element.setSelectionRange) {
-      const pos = element.selectionStart + offset;
-      element.setSelectionRange(pos, pos);
+  /**
+   * Extend the selection of an element by one motion (see MOTIONS)
+   * @param {Element} element - Target editable element
+   * @param {string} motionName - Name of the motion
+   * @returns {boolean} - False if the selection could not be changed
+   */
+  extendSelection(element, motionName) {
+    const motion = LyXHotkeyHandler.MOTIONS[motionName];
+
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      if (selection.rangeCount === 0 || typeof selection.modify !== 'function') {
+        return false;
+      }
+      // Selection.modify keeps the anchor and moves the focus for us
+      selection.modify('extend', motion.direction, motion.granularity);
+      return true;
     }
+
+    if (typeof element.setSelectionRange !== 'function' || element.selectionStart === null) {
+      return false;
+    }
+
+    const { anchor, focus } = this.getFormFieldSelection(element);
+    this.setFormFieldSelection(element, anchor, this.findMotionTarget(element.value, focus, motion));
+    return true;
   }
 
-  moveWord(element, direction) {
-    // Simplified word movement - in a real implementation,
-    // you'd want more sophisticated word boundary detection
-    const value = element.value;
-    let pos = element.selectionStart;
-    
+  /**
+   * Read the selection of an input or textarea as anchor and focus offsets
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Form field
+   * @returns {{anchor: number, focus: number}} - Selection endpoints
+   */
+  getFormFieldSelection(element) {
+    const start = element.selectionStart;
+    const end = element.selectionEnd;
+    return element.selectionDirection === 'backward'
+      ? { anchor: end, focus: start }
+      : { anchor: start, focus: end };
+  }
+
+  /**
+   * Select from anchor to focus in an input or textarea
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - Form field
+   * @param {number} anchor - Offset that stays fixed
+   * @param {number} focus - Offset that moves
+   */
+  setFormFieldSelection(element, anchor, focus) {
+    if (focus < anchor) {
+      element.setSelectionRange(focus, anchor, 'backward');
+    } else {
+      element.setSelectionRange(anchor, focus, 'forward');
+    }
+  }
+
+  /**
+   * Compute where a motion takes a position in plain text
+   * @param {string} value - Text of the form field
+   * @param {number} pos - Current position
+   * @param {Object} motion - Entry of MOTIONS
+   * @returns {number} - New position
+   */
+  findMotionTarget(value, pos, motion) {
+    const forward = motion.direction === 'forward';
+
+    switch (motion.granularity) {
+      case 'character':
+        return Math.max(0, Math.min(value.length, pos + (forward ? 1 : -1)));
+      case 'word':
+        return this.findWordBoundary(value, pos, forward ? 1 : -1);
+      case 'lineboundary':
+        return forward ? this.findLineEnd(value, pos) : this.findLineStart(value, pos);
+      case 'line':
+        return this.findVerticalPosition(value, pos, forward ? 1 : -1);
+      case 'paragraph':
+        return this.findParagraphBoundary(value, pos, forward ? 1 : -1);
+      case 'documentboundary':
+        return forward ? value.length : 0;
+      default:
+        return pos;
+    }
+  }
+
+  findWordBoundary(value, pos, direction) {
     if (direction > 0) {
-      // Move to next word
       while (pos < value.length && /\S/.test(value[pos])) pos++;
       while (pos < value.length && /\s/.test(value[pos])) pos++;
     } else {
-      // Move to previous word
       while (pos > 0 && /\s/.test(value[pos - 1])) pos--;
       while (pos > 0 && /\S/.test(value[pos - 1])) pos--;
     }
-    
-    element.setSelectionRange(pos, pos);
+    return pos;
   }
 
-  moveToLineStart(element) {
-    const value = element.value;
-    let pos = element.selectionStart;
-    
-    while (pos > 0 && value[pos - 1] !== '\n') {
-      pos--;
-    }
-    
-    element.setSelectionRange(pos, pos);
+  findLineStart(value, pos) {
+    while (pos > 0 && value[pos - 1] !== '\n') pos--;
+    return pos;
   }
 
-  moveToLineEnd(element) {
-    const value = element.value;
-    let pos = element.selectionStart;
-    
-    while (pos < value.length && value[pos] !== '\n') {
-      pos++;
-    }
-    
-    element.setSelectionRange(pos, pos);
+  findLineEnd(value, pos) {
+    while (pos < value.length && value[pos] !== '\n') pos++;
+    return pos;
   }
 
-  moveToDocumentStart(element) {
-    element.setSelectionRange(0, 0);
-  }
+  findVerticalPosition(value, pos, direction) {
+    const lineStart = this.findLineStart(value, pos);
+    const column = pos - lineStart;
+
+    if (direction > 0) {
+      const lineEnd = this.findLineEnd(value, pos);
+      if (lineEnd === value.length) return value.length;
+      const nextStart = lineEnd + 1;
+      return Math.min(nextStart + column, this.findLineEnd(value, nextStart));
+    }
 
-  moveToDocumentEnd(element) {
-    const end = element.value.length;
-    element.setSelectionRange(end, end);
+    if (lineStart === 0) return 0;
+    const previousStart = this.findLineStart(value, lineStart - 1);
+    return Math.min(previousStart + column, lineStart - 1);
   }
 
-  handleSelection(action, element) {
-    // Similar to navigation but extends selection
-    // Implementation would be similar to navigation but using different end position
+  findParagraphBoundary(value, pos, direction) {
+    // Paragraphs are separated by blank lines, as in LaTeX and Markdown source
+    const isBlankLineAt = (index) => {
+      const start = this.findLineStart(value, index);
+      return value.slice(start, this.findLineEnd(value, index)).trim() === '';
+    };
+
+    if (direction > 0) {
+      // Leave the current paragraph, then skip blank lines to the next one
+      while (pos < value.length && !isBlankLineAt(pos)) {
+        pos = this.findLineEnd(value, pos) + 1;
+      }
+      while (pos < value.length && isBlankLineAt(pos)) {
+        pos = this.findLineEnd(value, pos) + 1;
+      }
+      return Math.min(pos, value.length);
+    }
+
+    // Go to the start of this paragraph, or of the previous one if already there
+    const paragraphStart = (index) => {
+      index = this.findLineStart(value, index);
+      while (index > 0 && !isBlankLineAt(index - 1)) {
+        index = this.findLineStart(value, index - 1);
+      }
+      return index;
+    };
+
+    const start = paragraphStart(pos);
+    if (start < pos) {
+      return start;
+    }
+
+    pos = start;
+    while (pos > 0 && isBlankLineAt(pos - 1)) {
+      pos = this.findLineStart(value, pos - 1);
+    }
+    return pos > 0 ? paragraphStart(pos - 1) : 0;
   }
 
   handleDeletion(action, element) {
-    // Implement deletion actions
-    const actions = {
-      deleteRight: () => this.deleteChar(element, 1),
-      deleteLeft: () => this.deleteChar(element, -1),
-      deleteWordRight: () => this.deleteWord(element, 1),
-      deleteWordLeft: () => this.deleteWord(element, -1),
-      deleteLineForward: () => this.deleteToLineEnd(element)
+    const motions = {
+      deleteRight: 'charForward',
+      deleteLeft: 'charBackward',
+      deleteWordRight: 'wordForward',
+      deleteWordLeft: 'wordBackward',
+      deleteLineForward: 'lineEnd'
     };
 
-    if (actions[action]) {
-      actions[action]();
+    if (!motions[action]) {
+      return false;
     }
+    return this.deleteByMotion(element, motions[action]);
   }
 
-  deleteChar(element, direction) {
-    const start = element.selectionStart;
-    const end = element.selectionEnd;
-    
-    if (start !== end) {
-      // Delete selection
-      this.deleteSelection(element);
-    } else {
-      // Delete single character
-      const value = element.value;
-      let newStart, newEnd;
-      
-      if (direction > 0) {
-        newStart = start;
-        newEnd = Math.min(start + 1, value.length);
-      } else {
-        newStart = Math.max(start - 1, 0);
-        newEnd = start;
+  /**
+   * Delete the selection, or if it is collapsed, the text the motion covers
+   * @param {Element} element - Target editable element
+   * @param {string} motionName - Name of the motion
+   * @returns {boolean} - False if nothing could be deleted
+   */
+  deleteByMotion(element, motionName) {
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      if (selection.rangeCount === 0) {
+        return false;
       }
-      
-      const newValue = value.slice(0, newStart) + value.slice(newEnd);
-      element.value = newValue;
-      element.setSelectionRange(newStart, newStart);
-      element.dispatchEvent(new Event('input', { bubbles: true }));
+
+      if (selection.isCollapsed && !this.extendSelection(element, motionName)) {
+        return false;
+      }
+      // Like Emacs' C-k, deleting to the end of a line that is already at its end joins the next line
+      if (selection.isCollapsed && motionName === 'lineEnd') {
+        this.extendSelection(element, 'charForward');
+      }
+
+      return this.editor.deleteSelection(element, LyXHotkeyHandler.DELETE_INPUT_TYPES[motionName]);
     }
-  }
 
-  deleteWord(element, direction) {
-    // Simplified word deletion
-    const start = element.selectionStart;
-    const value = element.value;
-    let pos = start;
-    
-    if (direction > 0) {
-      while (pos < value.length && /\S/.test(value[pos])) pos++;
-      while (pos < value.length && /\s/.test(value[pos])) pos++;
-    } else {
-      while (pos > 0 && /\s/.test(value[pos - 1])) pos--;
-      while (pos > 0 && /\S/.test(value[pos - 1])) pos--;
+    if (typeof element.setSelectionRange !== 'function' || element.selectionStart === null) {
+      return false;
     }
-    
-    const newValue = value.slice(0, Math.min(start, pos)) + value.slice(Math.max(start, pos));
-    element.value = newValue;
-    element.setSelectionRange(Math.min(start, pos), Math.min(start, pos));
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-  }
 
-  deleteToLineEnd(element) {
-    const start = element.selectionStart;
-    const value = element.value;
-    let pos = start;
-    
-    while (pos < value.length && value[pos] !== '\n') {
-      pos++;
+    if (element.selectionStart === element.selectionEnd) {
+      const value = element.value;
+      const start = element.selectionStart;
+      let target = this.findMotionTarget(value, start, LyXHotkeyHandler.MOTIONS[motionName]);
+      if (target === start && motionName === 'lineEnd') {
+        target = Math.min(start + 1, value.length);
+      }
+      element.setSelectionRange(Math.min(start, target), Math.max(start, target));
     }
-    
-    const newValue = value.slice(0, start) + value.slice(pos);
-    element.value = newValue;
-    element.setSelectionRange(start, start);
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-  }
 
-  deleteSelection(element) {
-    const start = element.selectionStart;
-    const end = element.selectionEnd;
-    const value = element.value;
-    
-    const newValue = value.slice(0, start) + value.slice(end);
-    element.value = newValue;
-    element.setSelectionRange(start, start);
-    element.dispatchEvent(new Event('input', { bubbles: true }));
+    return this.editor.deleteSelection(element, LyXHotkeyHandler.DELETE_INPUT_TYPES[motionName]);
   }
 
   handleClipboard(action, element) {
@@ -580,10 +943,12 @@ class LyXHotkeyHandler {
         break;
       case 'paste':
         // Paste is more complex and might need special handling
-        break;
+        return false;
       case 'cut':
         document.execCommand('cut');
         break;
+      default:
+        return false;
     }
   }
 
@@ -595,6 +960,8 @@ class LyXHotkeyHandler {
       case 'redo':
         document.execCommand('redo');
         break;
+      default:
+        return false;
     }
   }
 
@@ -611,7 +978,37 @@ class LyXHotkeyHandler {
   }
 }
 
+// Cursor motions shared by the navigation, selection and deletion actions.
+// direction and granularity are the Selection.modify() arguments used in
+// contenteditable elements and also drive findMotionTarget() for inputs and
+// textareas.
+LyXHotkeyHandler.MOTIONS = {
+  charForward: { direction: 'forward', granularity: 'character' },
+  charBackward: { direction: 'backward', granularity: 'character' },
+  wordForward: { direction: 'forward', granularity: 'word' },
+  wordBackward: { direction: 'backward', granularity: 'word' },
+  lineStart: { direction: 'backward', granularity: 'lineboundary' },
+  lineEnd: { direction: 'forward', granularity: 'lineboundary' },
+  lineUp: { direction: 'backward', granularity: 'line' },
+  lineDown: { direction: 'forward', granularity: 'line' },
+  paragraphUp: { direction: 'backward', granularity: 'paragraph' },
+  paragraphDown: { direction: 'forward', granularity: 'paragraph' },
+  documentStart: { direction: 'backward', granularity: 'documentboundary' },
+  documentEnd: { direction: 'forward', granularity: 'documentboundary' }
+};
+
+// Empty argument slot in inserted text, e.g. the two slots of \frac{}{}
+LyXHotkeyHandler.PLACEHOLDER = '{}';
+
+// InputEvent inputType reported for each deletion motion
+LyXHotkeyHandler.DELETE_INPUT_TYPES = {
+  charForward: 'deleteContentForward',
+  charBackward: 'deleteContentBackward',
+  wordForward: 'deleteWordForward',
+  wordBackward: 'deleteWordBackward',
+  lineEnd: 'deleteSoftLineForward'
+};
+
 // Initialize the hotkey handler
-console.log('🚀 LyX Extension: Content script loading...');
 const lyxHandler = new LyXHotkeyHandler();
-console.log('✅ LyX Extension: Content script initialized successfully');
+lyxHandler.log.debug('✅ Content script initialized successfully');
@@ -2,6 +2,7 @@ const debugOutput = document.getElementById('debugOutput');
 const lastKey = document.getElementById('lastKey');
 const testInput = document.getElementById('testInput');
 const testArea = document.getElementById('testArea');
+let debugSettings = LyXSettings.withDefaults(); // Replaced by the saved settings on load
 
 function log(message) {
   const timestamp = new Date().toLocaleTimeString();
@@ -41,31 +42,16 @@ function handleKeyDown(e) {
   // Log the event
   log(`KeyDown: key="${info.key}" code="${info.code}" ctrl=${info.ctrlKey} alt=${info.altKey} shift=${info.shiftKey} meta=${info.metaKey}`);
   
-  // Simulate the extension's key combo generation
-  const parts = [];
-  if (info.ctrlKey) parts.push('ctrl');
-  if (info.altKey) parts.push('alt');
-  if (info.shiftKey) parts.push('shift');
-  if (info.metaKey) parts.push('meta');
+  // Generate the key combo exactly like the extension does
+  const optionFix = info.isMac && info.altKey && !info.ctrlKey && !info.metaKey;
+  const physical = debugSettings.matchMode === 'physical' || optionFix;
+  const combo = LyXKeyNames.chordFromEvent(e, { physical });
   
-  let key = info.key.toLowerCase();
-  
-  // Mac Option key fix
-  if (info.isMac && info.altKey && !info.ctrlKey && !info.metaKey) {
-    const codeToKey = {
-      'KeyM': 'm', 'KeyG': 'g', 'KeyB': 'b', 'KeyD': 'd',
-      'KeyL': 'l', 'KeyP': 'p', 'KeyS': 's', 'KeyT': 't'
-    };
-    
-    if (codeToKey[info.code]) {
-      key = codeToKey[info.code];
-      log(`Mac Option key fix: Using "${key}" instead of "${info.key}"`);
-    }
+  if (optionFix && debugSettings.matchMode !== 'physical') {
+    log(`Mac Option key fix: Using physical key "${info.code}" instead of "${info.key}"`);
   }
   
-  if (!['control', 'alt', 'shift', 'meta'].includes(key)) {
-    parts.push(key);
-    const combo = parts.join('+');
+  if (combo) {
     log(`Generated key combo: "${combo}"`);
     
     // Check if this would match common LyX shortcuts
@@ -107,11 +93,209 @@ function handleKeyDown(e) {
   log('---');
 }
 
+/**
+ * Diagnose which keys bound in the bundled bind files can be pressed with
+ * the saved keyboard layout and match mode. Each chord is turned into the
+ * key press that types it on the layout, with the character the layout
+ * produces for the shift state held (so Shift+= arrives as "+", as it does
+ * in a browser), and the extension's combo for that press is compared with
+ * the one the parser binds. test-key-roundtrip.js runs the same check
+ * under Node for every layout
+ */
+async function checkBindFileKeys() {
+  const parser = new LyXConfigParser();
+  const modifierNames = { C: 'ctrl', S: 'shift', M: 'alt', A: 'alt' };
+  const { keyboardLayout, matchMode } = debugSettings;
+  const physical = matchMode === 'physical';
+  const failures = [];
+  let checked = 0;
+
+  log(`Checking with the ${keyboardLayout} layout, matching ${LyXKeyboardLayouts.MATCH_MODES[matchMode]}`);
+  for (const fileName of LyXConfigParser.BUNDLED_BIND_FILES) {
+    let text;
+    try {
+      text = await (await fetch(fileName)).text();
+    } catch (error) {
+      log(`❌ Could not load ${fileName}: ${error.message}`);
+      continue;
+    }
+
+    text.split('\n').forEach((line, index) => {
+      const binding = parser.parseBindLine(line);
+      if (!binding) {
+        return;
+      }
+
+      for (const chord of binding.originalKey.trim().split(/\s+/)) {
+        checked++;
+        const pattern = parser.parseChord(chord, modifierNames);
+
+        // Optional modifiers (~S-) must match whenever the key can be typed
+        // with or without the modifier held; "~S-quotedbl" has no unshifted press
+        const variants = [pattern.modifiers];
+        pattern.optional.forEach(modifier => variants.push(...variants.map(held => [...held, modifier])));
+
+        const expected = LyXKeyNames.formatChord(pattern);
+        let pressable = false;
+        for (const held of variants) {
+          const init = LyXKeyboardLayouts.keyPress(pattern.key, held.includes('shift'), keyboardLayout, matchMode);
+          if (!init) {
+            continue;
+          }
+          pressable = true;
+          const pressed = LyXKeyNames.describeEvent(new KeyboardEvent('keydown', {
+            ...init,
+            ctrlKey: held.includes('ctrl'),
+            altKey: held.includes('alt'),
+            shiftKey: held.includes('shift'),
+            metaKey: held.includes('meta')
+          }), { physical });
+
+          if (!pressed || !LyXKeyNames.chordMatches(pattern, pressed)) {
+            const actual = pressed ? LyXKeyNames.formatChord(pressed) : 'nothing';
+            failures.push(`${fileName}:${index + 1} "${chord}" binds "${expected}" but pressing it gives "${actual}"`);
+            break;
+          }
+        }
+        if (!pressable) {
+          failures.push(`${fileName}:${index + 1} "${chord}" binds "${expected}", which no key types on this layout`);
+        }
+      }
+    });
+  }
+
+  failures.forEach(failure => log(`❌ ${failure}`));
+  log(`${failures.length === 0 ? '✅' : '❌'} ${checked - failures.length}/${checked} bound keys are reachable`);
+  log('---');
+}
+
+const logEntries = document.getElementById('logEntries');
+const logViewLevel = document.getElementById('logViewLevel');
+const logViewSubsystem = document.getElementById('logViewSubsystem');
+const logViewFilter = document.getElementById('logViewFilter');
+let logRefreshTimer = null;
+
+/**
+ * Fetch the background worker's log buffer and show the entries that pass
+ * the level, subsystem and text filters
+ */
+async function refreshLogs() {
+  const response = await chrome.runtime.sendMessage({ action: 'getLogs' });
+  if (!response || !response.success) {
+    logEntries.textContent = '❌ Could not read the log from the background worker';
+    return;
+  }
+
+  const maxRank = LyXLogger.LEVELS.indexOf(logViewLevel.value);
+  const filter = logViewFilter.value.trim().toLowerCase();
+  const entries = response.entries.filter(entry =>
+    LyXLogger.LEVELS.indexOf(entry.level) <= maxRank &&
+    (!logViewSubsystem.value || entry.subsystem === logViewSubsystem.value) &&
+    (!filter || `${entry.message} ${entry.url || ''}`.toLowerCase().includes(filter))
+  );
+
+  // Entries carry page text and URLs, so they are only ever set as text
+  const atBottom = logEntries.scrollTop + logEntries.clientHeight >= logEntries.scrollHeight - 5;
+  logEntries.replaceChildren(...entries.map(entry => {
+    const line = document.createElement('div');
+    line.className = `log-entry-${entry.level}`;
+    line.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.level.toUpperCase().padEnd(5)} ` +
+      `[${entry.subsystem}] ${describeLogSource(entry)}${entry.message}`;
+    return line;
+  }));
+  if (entries.length === 0) {
+    logEntries.textContent = 'No log entries match.';
+  }
+  if (atBottom) {
+    logEntries.scrollTop = logEntries.scrollHeight;
+  }
+}
+
+/**
+ * Describe where an entry was logged: the tab and frame of a page, or nothing
+ * for the extension's own pages and worker
+ * @param {Object} entry - Log entry
+ * @returns {string} - Source label followed by a space, or an empty string
+ */
+function describeLogSource(entry) {
+  if (entry.tabId === undefined) {
+    return '';
+  }
+  let host = '';
+  try {
+    host = new URL(entry.url).host;
+  } catch (error) {
+    // Pages without a URL, e.g. about:blank frames
+  }
+  const frame = entry.frameId ? ` frame ${entry.frameId}` : '';
+  return `(tab ${entry.tabId}${frame}${host ? ` ${host}` : ''}) `;
+}
+
+async function clearLogs() {
+  await chrome.runtime.sendMessage({ action: 'clearLogs' });
+  refreshLogs();
+}
+
+/**
+ * Fill the viewer filters and the capture controls, which are saved as
+ * settings so every tab picks them up
+ */
+async function setupLogViewer() {
+  const levels = LyXLogger.LEVELS.filter(level => level !== 'off');
+  levels.forEach(level => logViewLevel.add(new Option(level, level)));
+  logViewLevel.value = 'trace';
+
+  logViewSubsystem.add(new Option('all', ''));
+  Object.keys(LyXLogger.SUBSYSTEMS).forEach(name => logViewSubsystem.add(new Option(name, name)));
+
+  const settings = debugSettings;
+  const captureSelect = document.getElementById('logCaptureLevel');
+  LyXSettings.CHOICES.logCaptureLevel.forEach(level => captureSelect.add(new Option(level, level)));
+  captureSelect.value = settings.logCaptureLevel;
+  captureSelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'updateSettings', settings: { logCaptureLevel: captureSelect.value } });
+  });
+
+  const subsystems = document.getElementById('logSubsystems');
+  for (const [name, description] of Object.entries(LyXLogger.SUBSYSTEMS)) {
+    const label = document.createElement('label');
+    label.title = description;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings.logSubsystems[name] !== false;
+    checkbox.addEventListener('change', async () => {
+      const { logSubsystems } = await LyXSettings.load();
+      chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: { logSubsystems: { ...logSubsystems, [name]: checkbox.checked } }
+      });
+    });
+    label.append(checkbox, name);
+    subsystems.append(label, ' ');
+  }
+
+  [logViewLevel, logViewSubsystem].forEach(select => select.addEventListener('change', refreshLogs));
+  logViewFilter.addEventListener('input', refreshLogs);
+  document.getElementById('refreshLogs').addEventListener('click', refreshLogs);
+  document.getElementById('clearLogs').addEventListener('click', clearLogs);
+  document.getElementById('followLogs').addEventListener('change', (e) => {
+    clearInterval(logRefreshTimer);
+    logRefreshTimer = e.target.checked ? setInterval(refreshLogs, 1000) : null;
+  });
+
+  refreshLogs();
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   // Add event listeners
   testInput.addEventListener('keydown', handleKeyDown);
   testArea.addEventListener('keydown', handleKeyDown);
+  document.getElementById('checkBindKeys').addEventListener('click', checkBindFileKeys);
+  LyXSettings.load().then(settings => {
+    debugSettings = settings;
+    setupLogViewer();
+  });
   
   log('Debug tool initialized. Press keys in the input fields above.');
   log('Platform detected: ' + navigator.platform);
@@ -0,0 +1,211 @@
+/**
+ * Output Dialects for LyX Hotkey Extension
+ * Defines how LyX font, math and text commands render in each markup language
+ */
+
+class LyXDialects {
+  /**
+   * Render a LyX command as a concrete action in a dialect
+   * @param {string} command - LyX command, e.g. "font-bold"
+   * @param {string} dialectId - Dialect id, e.g. "latex"
+   * @returns {Object|null} - insert/wrap action or null if the command is unknown
+   */
+  static render(command, dialectId) {
+    const dialect = LyXDialects.get(dialectId);
+    const action = dialect.commands[command] || LyXDialects.DIALECTS.markdown.commands[command];
+    return action ? { ...action } : null;
+  }
+
+  /**
+   * Look up a dialect, falling back to the default one
+   * @param {string} dialectId - Dialect id
+   * @returns {Object} - Dialect definition
+   */
+  static get(dialectId) {
+    return LyXDialects.DIALECTS[dialectId] || LyXDialects.DIALECTS[LyXDialects.DEFAULT];
+  }
+
+  /**
+   * List the available dialects
+   * @returns {Array<{id: string, name: string}>} - Dialect ids and display names
+   */
+  static list() {
+    return Object.entries(LyXDialects.DIALECTS).map(([id, dialect]) => ({ id, name: dialect.name }));
+  }
+
+  /**
+   * Pick the dialect for a host name: the most specific site rule wins,
+   * otherwise the global dialect is used
+   * @param {string} hostname - Host name of the page, e.g. "www.overleaf.com"
+   * @param {string} globalDialect - Dialect selected globally
+   * @param {Object} siteDialects - Map of host name to dialect id; a host also
+   *   matches its subdomains ("overleaf.com" matches "www.overleaf.com")
+   * @returns {string} - Dialect id
+   */
+  static resolve(hostname, globalDialect, siteDialects = {}) {
+    let best = null;
+    for (const site of Object.keys(siteDialects)) {
+      const matches = hostname === site || hostname.endsWith(`.${site}`);
+      if (matches && (!best || site.length > best.length)) {
+        best = site;
+      }
+    }
+
+    const dialectId = best ? siteDialects[best] : globalDialect;
+    return LyXDialects.DIALECTS[dialectId] ? dialectId : LyXDialects.DEFAULT;
+  }
+}
+
+// Markdown keeps the extension's original output
+LyXDialects.DEFAULT = 'markdown';
+
+// LyX commands whose output depends on the dialect
+LyXDialects.COMMANDS = [
+  'font-bold',
+  'font-emph',
+  'font-underline',
+  'font-typewriter',
+  'font-strikeout',
+  'math-mode',
+  'math-display',
+  'ert-insert',
+  'newline-insert linebreak',
+  'newline-insert newline',
+  'paragraph-break',
+  'paragraph-break inverse',
+  'quote-insert inner',
+  'quote-insert outer auto plain',
+  'specialchar-insert hyphenation',
+  'specialchar-insert nobreakdash',
+  'specialchar-insert ligature-break',
+  'specialchar-insert slash',
+  'specialchar-insert end-of-sentence',
+  'specialchar-insert dots',
+  'space-insert protected',
+  'space-insert normal',
+  'space-insert thin'
+];
+
+LyXDialects.DIALECTS = {
+  markdown: {
+    name: 'Markdown',
+    commands: {
+      'font-bold': { type: 'wrap', before: '**', after: '**' },
+      'font-emph': { type: 'wrap', before: '*', after: '*' },
+      'font-underline': { type: 'wrap', before: '_', after: '_' },
+      'font-typewriter': { type: 'wrap', before: '`', after: '`' },
+      'font-strikeout': { type: 'wrap', before: '~~', after: '~~' },
+      'math-mode': { type: 'wrap', before: '$', after: '$' },
+      'math-display': { type: 'wrap', before: '$$\n', after: '\n$$' },
+      'ert-insert': { type: 'wrap', before: '\\', after: '' },
+      'newline-insert linebreak': { type: 'insert', text: '\\\\\n' },
+      'newline-insert newline': { type: 'insert', text: '\n' },
+      'paragraph-break': { type: 'insert', text: '\n\n' },
+      'paragraph-break inverse': { type: 'insert', text: '\n' },
+      'quote-insert inner': { type: 'insert', text: '"' },
+      'quote-insert outer auto plain': { type: 'insert', text: '\'' },
+      'specialchar-insert hyphenation': { type: 'insert', text: '\u00AD' },
+      'specialchar-insert nobreakdash': { type: 'insert', text: '\u2011' },
+      'specialchar-insert ligature-break': { type: 'insert', text: '\u200C' },
+      'specialchar-insert slash': { type: 'insert', text: '/' },
+      'specialchar-insert end-of-sentence': { type: 'insert', text: '. ' },
+      'specialchar-insert dots': { type: 'insert', text: '…' },
+      'space-insert protected': { type: 'insert', text: '\u00A0' },
+      'space-insert normal': { type: 'insert', text: ' ' },
+      'space-insert thin': { type: 'insert', text: '\u2009' }
+    }
+  },
+  latex: {
+    name: 'LaTeX',
+    commands: {
+      'font-bold': { type: 'wrap', before: '\\textbf{', after: '}' },
+      'font-emph': { type: 'wrap', before: '\\emph{', after: '}' },
+      'font-underline': { type: 'wrap', before: '\\underline{', after: '}' },
+      'font-typewriter': { type: 'wrap', before: '\\texttt{', after: '}' },
+      'font-strikeout': { type: 'wrap', before: '\\sout{', after: '}' },
+      'math-mode': { type: 'wrap', before: '$', after: '$' },
+      'math-display': { type: 'wrap', before: '\\[\n', after: '\n\\]' },
+      'ert-insert': { type: 'wrap', before: '\\', after: '' },
+      'newline-insert linebreak': { type: 'insert', text: '\\\\\n' },
+      'newline-insert newline': { type: 'insert', text: '\\newline\n' },
+      'paragraph-break': { type: 'insert', text: '\n\n' },
+      'paragraph-break inverse': { type: 'insert', text: '\n\n' },
+      'quote-insert inner': { type: 'wrap', before: '`', after: '\'' },
+      'quote-insert outer auto plain': { type: 'wrap', before: '``', after: '\'\'' },
+      'specialchar-insert hyphenation': { type: 'insert', text: '\\-' },
+      'specialchar-insert nobreakdash': { type: 'insert', text: '\\nobreakdash-' },
+      // Control words end with a space, not {}, which would be taken as a template placeholder
+      'specialchar-insert ligature-break': { type: 'insert', text: '\\textcompwordmark ' },
+      'specialchar-insert slash': { type: 'insert', text: '\\slash ' },
+      'specialchar-insert end-of-sentence': { type: 'insert', text: '\\@. ' },
+      'specialchar-insert dots': { type: 'insert', text: '\\ldots\\ ' },
+      'space-insert protected': { type: 'insert', text: '~' },
+      'space-insert normal': { type: 'insert', text: '\\ ' },
+      'space-insert thin': { type: 'insert', text: '\\,' }
+    }
+  },
+  html: {
+    name: 'HTML',
+    commands: {
+      'font-bold': { type: 'wrap', before: '<strong>', after: '</strong>' },
+      'font-emph': { type: 'wrap', before: '<em>', after: '</em>' },
+      'font-underline': { type: 'wrap', before: '<u>', after: '</u>' },
+      'font-typewriter': { type: 'wrap', before: '<code>', after: '</code>' },
+      'font-strikeout': { type: 'wrap', before: '<s>', after: '</s>' },
+      // MathJax/KaTeX delimiters, since $ is not reserved in HTML
+      'math-mode': { type: 'wrap', before: '\\(', after: '\\)' },
+      'math-display': { type: 'wrap', before: '\\[\n', after: '\n\\]' },
+      'ert-insert': { type: 'wrap', before: '\\', after: '' },
+      'newline-insert linebreak': { type: 'insert', text: '<br>\n' },
+      'newline-insert newline': { type: 'insert', text: '<br>\n' },
+      'paragraph-break': { type: 'insert', text: '</p>\n<p>' },
+      'paragraph-break inverse': { type: 'insert', text: '</p>\n<p>' },
+      'quote-insert inner': { type: 'wrap', before: '&lsquo;', after: '&rsquo;' },
+      'quote-insert outer auto plain': { type: 'wrap', before: '&ldquo;', after: '&rdquo;' },
+      'specialchar-insert hyphenation': { type: 'insert', text: '&shy;' },
+      'specialchar-insert nobreakdash': { type: 'insert', text: '&#8209;' },
+      'specialchar-insert ligature-break': { type: 'insert', text: '&zwnj;' },
+      'specialchar-insert slash': { type: 'insert', text: '/<wbr>' },
+      'specialchar-insert end-of-sentence': { type: 'insert', text: '. ' },
+      'specialchar-insert dots': { type: 'insert', text: '&hellip;' },
+      'space-insert protected': { type: 'insert', text: '&nbsp;' },
+      'space-insert normal': { type: 'insert', text: ' ' },
+      'space-insert thin': { type: 'insert', text: '&thinsp;' }
+    }
+  },
+  bbcode: {
+    name: 'BBCode',
+    commands: {
+      'font-bold': { type: 'wrap', before: '[b]', after: '[/b]' },
+      'font-emph': { type: 'wrap', before: '[i]', after: '[/i]' },
+      'font-underline': { type: 'wrap', before: '[u]', after: '[/u]' },
+      'font-typewriter': { type: 'wrap', before: '[code]', after: '[/code]' },
+      'font-strikeout': { type: 'wrap', before: '[s]', after: '[/s]' },
+      'math-mode': { type: 'wrap', before: '$', after: '$' },
+      'math-display': { type: 'wrap', before: '$$\n', after: '\n$$' },
+      'ert-insert': { type: 'wrap', before: '\\', after: '' },
+      'newline-insert linebreak': { type: 'insert', text: '\n' },
+      'newline-insert newline': { type: 'insert', text: '\n' },
+      'paragraph-break': { type: 'insert', text: '\n\n' },
+      'paragraph-break inverse': { type: 'insert', text: '\n\n' },
+      'quote-insert inner': { type: 'wrap', before: '‘', after: '’' },
+      'quote-insert outer auto plain': { type: 'wrap', before: '“', after: '”' },
+      'specialchar-insert hyphenation': { type: 'insert', text: '\u00AD' },
+      'specialchar-insert nobreakdash': { type: 'insert', text: '\u2011' },
+      'specialchar-insert ligature-break': { type: 'insert', text: '\u200C' },
+      'specialchar-insert slash': { type: 'insert', text: '/' },
+      'specialchar-insert end-of-sentence': { type: 'insert', text: '. ' },
+      'specialchar-insert dots': { type: 'insert', text: '…' },
+      'space-insert protected': { type: 'insert', text: '\u00A0' },
+      'space-insert normal': { type: 'insert', text: ' ' },
+      'space-insert thin': { type: 'insert', text: '\u2009' }
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXDialects;
+} else if (typeof window !== 'undefined') {
+  window.LyXDialects = LyXDialects;
+}
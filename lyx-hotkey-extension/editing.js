@@ -0,0 +1,260 @@
+/**
+ * Editing Layer for LyX Hotkey Extension
+ * Routes every text mutation through the browser's editing pipeline so that
+ * native undo/redo keeps working and pages (including React, Vue and Angular
+ * controlled inputs) see proper beforeinput/input events
+ */
+
+class LyXEditingLayer {
+  /**
+   * Replace the current selection of an element with text
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @param {string} text - Text to insert
+   * @returns {boolean} - False if the page cancelled the edit or it failed
+   */
+  insertText(element, text) {
+    if (text === '') {
+      return this.deleteSelection(element, 'deleteContent');
+    }
+
+    // execCommand records the edit in the native undo stack and fires
+    // beforeinput/input with inputType "insertText" by itself
+    if (this.canUseExecCommand(element) && document.execCommand('insertText', false, text)) {
+      return true;
+    }
+
+    LyXEditingLayer.log.warn('insertText command unavailable, falling back to manual insertion');
+    if (element.isContentEditable) {
+      return this.replaceContentEditableSelection(element, text, 'insertText');
+    }
+    return this.replaceFormFieldRange(element, element.selectionStart, element.selectionEnd, text, 'insertText');
+  }
+
+  /**
+   * Delete the current (non-collapsed) selection of an element
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @param {string} inputType - InputEvent inputType describing the deletion,
+   *   e.g. "deleteContentBackward" or "deleteWordForward"
+   * @returns {boolean} - False if there was nothing to delete or the edit failed
+   */
+  deleteSelection(element, inputType) {
+    if (this.isSelectionCollapsed(element)) {
+      return false;
+    }
+
+    // Word and line deletions arrive with the selection already extended to
+    // the boundary; execCommand keeps them undoable, even though inputs and
+    // textareas then report them as character deletions
+    const command = /Forward$/.test(inputType) ? 'forwardDelete' : 'delete';
+    if (this.canUseExecCommand(element) && document.execCommand(command, false)) {
+      return true;
+    }
+
+    LyXEditingLayer.log.warn(`${command} command unavailable, falling back to manual deletion`);
+    if (element.isContentEditable) {
+      return this.replaceContentEditableSelection(element, '', inputType);
+    }
+    return this.replaceFormFieldRange(element, element.selectionStart, element.selectionEnd, '', inputType);
+  }
+
+  /**
+   * Select the text that ends `skip` characters before the caret and is
+   * `length` characters long; used to reselect content after an insertion
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @param {number} skip - Characters between the selection end and the caret
+   * @param {number} length - Characters to select
+   */
+  selectBeforeCaret(element, skip, length) {
+    if (!element.isContentEditable) {
+      const caret = element.selectionEnd;
+      element.setSelectionRange(caret - skip - length, caret - skip);
+      return;
+    }
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || typeof selection.modify !== 'function') {
+      return;
+    }
+    for (let i = 0; i < skip; i++) {
+      selection.modify('move', 'backward', 'character');
+    }
+    // Extend from the end backwards, then flip so the selection reads forward
+    for (let i = 0; i < length; i++) {
+      selection.modify('extend', 'backward', 'character');
+    }
+    if (length > 0) {
+      const range = selection.getRangeAt(0);
+      selection.setBaseAndExtent(range.startContainer, range.startOffset, range.endContainer, range.endOffset);
+    }
+  }
+
+  /**
+   * Get the plain text of an element from its start up to the caret
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @returns {string} - Text before the caret (empty if there is no caret)
+   */
+  getTextBeforeCaret(element) {
+    if (!element.isContentEditable) {
+      return element.value.slice(0, element.selectionStart || 0);
+    }
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !element.contains(selection.anchorNode)) {
+      return '';
+    }
+    const caret = selection.getRangeAt(0);
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.setEnd(caret.startContainer, caret.startOffset);
+    return range.toString();
+  }
+
+  /**
+   * Get the plain text of an element
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @returns {string} - The text, with offsets matching getTextBeforeCaret()
+   */
+  getText(element) {
+    return element.isContentEditable ? element.textContent : element.value;
+  }
+
+  /**
+   * Get the currently selected text of an element
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @returns {string} - Selected text, empty when the selection is collapsed
+   */
+  getSelectedText(element) {
+    if (element.isContentEditable) {
+      return window.getSelection().toString();
+    }
+    return element.value.slice(element.selectionStart, element.selectionEnd);
+  }
+
+  /**
+   * Place a collapsed caret at a plain-text offset of an element
+   * @param {Element} element - Input, textarea or contenteditable element
+   * @param {number} offset - Offset into getText(element)
+   */
+  setCaretOffset(element, offset) {
+    if (!element.isContentEditable) {
+      element.setSelectionRange(offset, offset);
+      return;
+    }
+
+    const selection = window.getSelection();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let remaining = offset;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (remaining <= node.data.length) {
+        selection.collapse(node, remaining);
+        return;
+      }
+      remaining -= node.data.length;
+    }
+
+    // Past the last text node: put the caret at the end of the element
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  canUseExecCommand(element) {
+    if (typeof document.execCommand !== 'function') {
+      return false;
+    }
+
+    // The command acts on whatever has focus, so make sure that is our element
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      return selection.rangeCount > 0 && element.contains(selection.anchorNode);
+    }
+    return element.ownerDocument.activeElement === element;
+  }
+
+  isSelectionCollapsed(element) {
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      return selection.rangeCount === 0 || selection.isCollapsed;
+    }
+    return element.selectionStart === element.selectionEnd;
+  }
+
+  /**
+   * Fallback for inputs and textareas when execCommand is unavailable
+   */
+  replaceFormFieldRange(element, start, end, text, inputType) {
+    if (!this.dispatchBeforeInput(element, inputType, text)) {
+      return false;
+    }
+
+    // Assign through the native setter: frameworks that wrap the value
+    // property (React's value tracker) then notice the change on input
+    const prototype = element instanceof HTMLTextAreaElement
+      ? HTMLTextAreaElement.prototype
+      : HTMLInputElement.prototype;
+    const setValue = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+    const value = element.value;
+    setValue.call(element, value.slice(0, start) + text + value.slice(end));
+    element.setSelectionRange(start + text.length, start + text.length);
+
+    this.dispatchInput(element, inputType, text);
+    return true;
+  }
+
+  /**
+   * Fallback for contenteditable elements when execCommand is unavailable
+   */
+  replaceContentEditableSelection(element, text, inputType) {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !this.dispatchBeforeInput(element, inputType, text)) {
+      return false;
+    }
+
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+
+    if (text) {
+      const textNode = document.createTextNode(text);
+      range.insertNode(textNode);
+      range.setStartAfter(textNode);
+    }
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    this.dispatchInput(element, inputType, text);
+    return true;
+  }
+
+  dispatchBeforeInput(element, inputType, text) {
+    return element.dispatchEvent(new InputEvent('beforeinput', {
+      inputType,
+      data: text || null,
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    }));
+  }
+
+  dispatchInput(element, inputType, text) {
+    element.dispatchEvent(new InputEvent('input', {
+      inputType,
+      data: text || null,
+      bubbles: true,
+      composed: true
+    }));
+  }
+}
+
+LyXEditingLayer.log = new LyXLogger('editing');
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXEditingLayer;
+} else if (typeof window !== 'undefined') {
+  window.LyXEditingLayer = LyXEditingLayer;
+}
@@ -0,0 +1,396 @@
+/**
+ * Key Names for LyX Hotkey Extension
+ * One canonical name per key, shared by the parser, the content script, the
+ * options page and the debug page. Canonical names are the lowercase X11
+ * keysym names LyX uses in .bind files ("left", "prior", "period",
+ * "quotedbl", "kp_right", "nobreakspace", ...); letters and digits are
+ * themselves ("a", "7")
+ */
+
+class LyXKeyNames {
+  /**
+   * Canonicalize a key name from a .bind file, a stored mapping or a
+   * KeyboardEvent.key value
+   * @param {string} name - Keysym ("Prior"), DOM key ("PageUp") or character (".")
+   * @returns {string|null} - Canonical name, or null for an empty name
+   */
+  static canonical(name) {
+    if (!name) {
+      return null;
+    }
+
+    // Characters, including " " and the Latin-1 keysyms ("é" → "eacute")
+    if ([...name].length === 1) {
+      const lower = name.toLowerCase();
+      return LyXKeyNames.CHAR_TO_KEYSYM[name] || LyXKeyNames.CHAR_TO_KEYSYM[lower] || lower;
+    }
+
+    const lower = name.toLowerCase();
+    return LyXKeyNames.ALIASES[lower] || lower;
+  }
+
+  /**
+   * Check whether a canonical name is a keysym this module knows
+   * @param {string} name - Canonical key name
+   * @returns {boolean} - True for letters, digits, function keys and known keysyms
+   */
+  static isKnown(name) {
+    return /^[a-z0-9]$/.test(name) ||
+      /^f([1-9]|[12][0-9]|3[0-5])$/.test(name) ||
+      LyXKeyNames.KEYSYMS.has(name);
+  }
+
+  /**
+   * Get the canonical name of the key pressed in a keyboard event
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {Object} [options]
+   * @param {boolean} [options.physical] - Name the physical key (e.code) instead of the
+   *   character it produced, e.g. for Mac Option combinations that type "µ" for M
+   * @returns {string|null} - Canonical name, or null for modifier-only presses
+   */
+  static fromEvent(e, options = {}) {
+    if (LyXKeyNames.MODIFIER_KEYS.includes(e.key)) {
+      return null;
+    }
+
+    // Keypad keys have their own keysyms, whatever NumLock makes them produce
+    if (e.code && e.code.startsWith('Numpad')) {
+      const keypad = LyXKeyNames.fromNumpad(e);
+      if (keypad) {
+        return keypad;
+      }
+    }
+
+    // Dead keys and unidentified keys only make sense as physical keys,
+    // named by what they type on the US layout bind files assume
+    if (options.physical || e.key === 'Dead' || e.key === 'Unidentified') {
+      const row = LyXKeyNames.US_LAYOUT[e.code];
+      if (row) {
+        return LyXKeyNames.canonical(row[e.shiftKey ? 1 : 0]);
+      }
+    }
+
+    if (e.key === 'Process') {
+      return null; // IME composition
+    }
+    return LyXKeyNames.canonical(e.key);
+  }
+
+  /**
+   * Describe the chord pressed in a keyboard event
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {Object} [options] - Options for fromEvent()
+   * @returns {Object|null} - Chord descriptor (see parseChord()), or null for modifier-only presses
+   */
+  static describeEvent(e, options = {}) {
+    const key = LyXKeyNames.fromEvent(e, options);
+    if (!key) {
+      return null;
+    }
+
+    const held = { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey, meta: e.metaKey };
+    return {
+      modifiers: LyXKeyNames.MODIFIERS.filter(modifier => held[modifier]),
+      optional: [],
+      key
+    };
+  }
+
+  /**
+   * Build the chord string of a keyboard event: modifiers in the order
+   * ctrl, alt, shift, meta followed by the canonical key name
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {Object} [options] - Options for fromEvent()
+   * @returns {string|null} - Chord such as "ctrl+period", or null for modifier-only presses
+   */
+  static chordFromEvent(e, options = {}) {
+    const chord = LyXKeyNames.describeEvent(e, options);
+    return chord ? LyXKeyNames.formatChord(chord) : null;
+  }
+
+  /**
+   * Parse a chord string into a descriptor. Modifiers prefixed with "~" are
+   * optional: LyX's ~S- ("with or without Shift") is written "~shift"
+   * @param {string} chord - Chord such as "ctrl+~shift+quotedbl"
+   * @returns {{modifiers: Array<string>, optional: Array<string>, key: string}} - Required
+   *   modifiers, optional modifiers and the canonical key name
+   */
+  static parseChord(chord) {
+    const parts = chord.split('+');
+    const key = parts.pop();
+    return {
+      modifiers: parts.filter(part => !part.startsWith('~')),
+      optional: parts.filter(part => part.startsWith('~')).map(part => part.slice(1)),
+      key
+    };
+  }
+
+  /**
+   * Serialize a chord descriptor; the inverse of parseChord()
+   * @param {Object} chord - Chord descriptor
+   * @returns {string} - Chord string with modifiers in LyXKeyNames.MODIFIERS order
+   */
+  static formatChord({ modifiers = [], optional = [], key }) {
+    const parts = [];
+    for (const modifier of LyXKeyNames.MODIFIERS) {
+      if (modifiers.includes(modifier)) {
+        parts.push(modifier);
+      } else if (optional.includes(modifier)) {
+        parts.push(`~${modifier}`);
+      }
+    }
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  /**
+   * Parse a key sequence string ("ctrl+l ~shift+quotedbl") into chord descriptors
+   * @param {string} sequence - Chords separated by spaces
+   * @returns {Array<Object>} - Chord descriptors
+   */
+  static parseSequence(sequence) {
+    return sequence.trim().split(/\s+/).map(chord => LyXKeyNames.parseChord(chord));
+  }
+
+  /**
+   * Check whether a pressed chord matches a bound chord: the keys must be the
+   * same and every modifier must be held exactly when the binding requires
+   * it, except optional modifiers, which may be held or not
+   * @param {Object} pattern - Bound chord descriptor
+   * @param {Object} pressed - Pressed chord descriptor
+   * @returns {boolean} - True if the chord matches
+   */
+  static chordMatches(pattern, pressed) {
+    if (pattern.key !== pressed.key) {
+      return false;
+    }
+    return LyXKeyNames.MODIFIERS.every(modifier =>
+      pattern.optional.includes(modifier) ||
+      pattern.modifiers.includes(modifier) === pressed.modifiers.includes(modifier));
+  }
+
+  static fromNumpad(e) {
+    if (LyXKeyNames.NUMPAD_CODES[e.code]) {
+      return LyXKeyNames.NUMPAD_CODES[e.code];
+    }
+
+    // Digit and decimal keys produce navigation keys while NumLock is off
+    const key = e.key === 'Clear' ? 'begin' : LyXKeyNames.canonical(e.key);
+    if (LyXKeyNames.KEYPAD_NAVIGATION.includes(key)) {
+      return `kp_${key}`;
+    }
+    if (e.code === 'NumpadDecimal') {
+      return 'kp_decimal';
+    }
+    const digit = e.code.match(/^Numpad([0-9])$/);
+    return digit ? `kp_${digit[1]}` : null;
+  }
+
+  /**
+   * Describe a keyboard event that presses a key on a US layout; used by
+   * the debug page to check that every bound key can be typed
+   * @param {string} name - Canonical key name
+   * @returns {{key: string, code: string}|null} - KeyboardEvent init, or null if unknown
+   */
+  static toEventInit(name) {
+    for (const [code, chars] of Object.entries(LyXKeyNames.US_LAYOUT)) {
+      const char = chars.find(c => LyXKeyNames.canonical(c) === name);
+      if (char) {
+        return { key: char, code };
+      }
+    }
+    if (/^f[0-9]+$/.test(name)) {
+      return { key: name.toUpperCase(), code: name.toUpperCase() };
+    }
+
+    const keypadCode = Object.keys(LyXKeyNames.NUMPAD_CODES).find(code => LyXKeyNames.NUMPAD_CODES[code] === name);
+    if (keypadCode) {
+      return { key: LyXKeyNames.KEYPAD_CHARS[name], code: keypadCode };
+    }
+    if (name.startsWith('kp_')) {
+      const base = name.slice(3);
+      const code = LyXKeyNames.KEYPAD_LAYOUT[base];
+      if (!code) {
+        return null;
+      }
+      const key = /^[0-9]$/.test(base) ? base
+        : base === 'decimal' ? '.'
+        : base === 'begin' ? 'Clear'
+        : LyXKeyNames.KEYSYM_TO_DOM_KEY[base];
+      return { key, code };
+    }
+
+    if (LyXKeyNames.KEYSYM_TO_DOM_KEY[name]) {
+      return { key: LyXKeyNames.KEYSYM_TO_DOM_KEY[name], code: LyXKeyNames.KEYSYM_TO_DOM_KEY[name] };
+    }
+
+    // Characters a US keyboard cannot type, such as "nobreakspace"
+    const char = Object.keys(LyXKeyNames.CHAR_TO_KEYSYM).find(c => LyXKeyNames.CHAR_TO_KEYSYM[c] === name);
+    return char ? { key: char, code: '' } : null;
+  }
+
+  /**
+   * Spell a canonical key name the way LyX writes it in .bind files
+   * @param {string} name - Canonical key name
+   * @returns {string} - Keysym such as "Left", "KP_Enter", "F5" or "quotedbl"
+   */
+  static toLyX(name) {
+    if (LyXKeyNames.LYX_SPELLING[name]) {
+      return LyXKeyNames.LYX_SPELLING[name];
+    }
+    if (name.startsWith('kp_')) {
+      const base = name.slice(3);
+      return `KP_${LyXKeyNames.LYX_SPELLING[base] || base.charAt(0).toUpperCase() + base.slice(1)}`;
+    }
+    return /^f[0-9]+$/.test(name) ? name.toUpperCase() : name;
+  }
+
+  /**
+   * Get a short label for a canonical key name
+   * @param {string} name - Canonical key name
+   * @returns {string} - Label such as "←", "." or "F5"
+   */
+  static toDisplay(name) {
+    if (LyXKeyNames.DISPLAY[name]) {
+      return LyXKeyNames.DISPLAY[name];
+    }
+    if (name.startsWith('kp_')) {
+      const base = name.slice(3);
+      return `Num ${LyXKeyNames.KEYPAD_DISPLAY[base] || LyXKeyNames.toDisplay(base)}`;
+    }
+    if (/^f[0-9]+$/.test(name)) {
+      return name.toUpperCase();
+    }
+
+    const char = Object.keys(LyXKeyNames.CHAR_TO_KEYSYM).find(c => LyXKeyNames.CHAR_TO_KEYSYM[c] === name);
+    if (char) {
+      return char;
+    }
+    return name.length === 1 ? name.toUpperCase() : name;
+  }
+}
+
+// Modifiers in the order chords are written
+LyXKeyNames.MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+// KeyboardEvent.key values of keys that only modify other keys
+LyXKeyNames.MODIFIER_KEYS = [
+  'Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS', 'Super', 'Hyper',
+  'CapsLock', 'NumLock', 'ScrollLock', 'Fn', 'FnLock'
+];
+
+// Characters and their X11 keysym names (ASCII punctuation and Latin-1)
+LyXKeyNames.CHAR_TO_KEYSYM = {
+  ' ': 'space', '!': 'exclam', '"': 'quotedbl', '#': 'numbersign', '$': 'dollar',
+  '%': 'percent', '&': 'ampersand', "'": 'apostrophe', '(': 'parenleft', ')': 'parenright',
+  '*': 'asterisk', '+': 'plus', ',': 'comma', '-': 'minus', '.': 'period', '/': 'slash',
+  ':': 'colon', ';': 'semicolon', '<': 'less', '=': 'equal', '>': 'greater', '?': 'question',
+  '@': 'at', '[': 'bracketleft', '\\': 'backslash', ']': 'bracketright', '^': 'asciicircum',
+  '_': 'underscore', '`': 'grave', '{': 'braceleft', '|': 'bar', '}': 'braceright', '~': 'asciitilde',
+  '\u00a0': 'nobreakspace', '¡': 'exclamdown', '¢': 'cent', '£': 'sterling', '¤': 'currency',
+  '¥': 'yen', '¦': 'brokenbar', '§': 'section', '¨': 'diaeresis', '©': 'copyright',
+  'ª': 'ordfeminine', '«': 'guillemotleft', '¬': 'notsign', '\u00ad': 'hyphen', '®': 'registered',
+  '¯': 'macron', '°': 'degree', '±': 'plusminus', '²': 'twosuperior', '³': 'threesuperior',
+  '´': 'acute', 'µ': 'mu', '¶': 'paragraph', '·': 'periodcentered', '¸': 'cedilla',
+  '¹': 'onesuperior', 'º': 'masculine', '»': 'guillemotright', '¼': 'onequarter', '½': 'onehalf',
+  '¾': 'threequarters', '¿': 'questiondown', '×': 'multiply', '÷': 'division', 'ß': 'ssharp',
+  'à': 'agrave', 'á': 'aacute', 'â': 'acircumflex', 'ã': 'atilde', 'ä': 'adiaeresis',
+  'å': 'aring', 'æ': 'ae', 'ç': 'ccedilla', 'è': 'egrave', 'é': 'eacute', 'ê': 'ecircumflex',
+  'ë': 'ediaeresis', 'ì': 'igrave', 'í': 'iacute', 'î': 'icircumflex', 'ï': 'idiaeresis',
+  'ð': 'eth', 'ñ': 'ntilde', 'ò': 'ograve', 'ó': 'oacute', 'ô': 'ocircumflex', 'õ': 'otilde',
+  'ö': 'odiaeresis', 'ø': 'oslash', 'ù': 'ugrave', 'ú': 'uacute', 'û': 'ucircumflex',
+  'ü': 'udiaeresis', 'ý': 'yacute', 'þ': 'thorn', 'ÿ': 'ydiaeresis'
+};
+
+// Physical keys (KeyboardEvent.code) of the US layout and the characters they
+// type without and with Shift; bind files are written for this layout
+LyXKeyNames.US_LAYOUT = {
+  Backquote: ['`', '~'], Digit1: ['1', '!'], Digit2: ['2', '@'], Digit3: ['3', '#'],
+  Digit4: ['4', '$'], Digit5: ['5', '%'], Digit6: ['6', '^'], Digit7: ['7', '&'],
+  Digit8: ['8', '*'], Digit9: ['9', '('], Digit0: ['0', ')'], Minus: ['-', '_'], Equal: ['=', '+'],
+  BracketLeft: ['[', '{'], BracketRight: [']', '}'], Backslash: ['\\', '|'],
+  Semicolon: [';', ':'], Quote: ["'", '"'], Comma: [',', '<'], Period: ['.', '>'], Slash: ['/', '?'],
+  Space: [' ', ' ']
+};
+for (const letter of 'abcdefghijklmnopqrstuvwxyz') {
+  LyXKeyNames.US_LAYOUT[`Key${letter.toUpperCase()}`] = [letter, letter.toUpperCase()];
+}
+
+// Keypad keys that do not depend on NumLock
+LyXKeyNames.NUMPAD_CODES = {
+  NumpadAdd: 'kp_add', NumpadSubtract: 'kp_subtract', NumpadMultiply: 'kp_multiply',
+  NumpadDivide: 'kp_divide', NumpadEnter: 'kp_enter', NumpadEqual: 'kp_equal',
+  NumpadComma: 'kp_separator'
+};
+LyXKeyNames.KEYPAD_CHARS = {
+  kp_add: '+', kp_subtract: '-', kp_multiply: '*', kp_divide: '/',
+  kp_enter: 'Enter', kp_equal: '=', kp_separator: ','
+};
+
+// Keypad keys that act as navigation keys while NumLock is off
+LyXKeyNames.KEYPAD_NAVIGATION = ['left', 'right', 'up', 'down', 'home', 'end', 'prior', 'next', 'insert', 'delete', 'begin'];
+LyXKeyNames.KEYPAD_LAYOUT = {
+  0: 'Numpad0', 1: 'Numpad1', 2: 'Numpad2', 3: 'Numpad3', 4: 'Numpad4',
+  5: 'Numpad5', 6: 'Numpad6', 7: 'Numpad7', 8: 'Numpad8', 9: 'Numpad9',
+  decimal: 'NumpadDecimal', insert: 'Numpad0', end: 'Numpad1', down: 'Numpad2',
+  next: 'Numpad3', left: 'Numpad4', begin: 'Numpad5', right: 'Numpad6',
+  home: 'Numpad7', up: 'Numpad8', prior: 'Numpad9', delete: 'NumpadDecimal'
+};
+
+// Named keys: keysym and KeyboardEvent.key
+LyXKeyNames.KEYSYM_TO_DOM_KEY = {
+  left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown',
+  prior: 'PageUp', next: 'PageDown', home: 'Home', end: 'End',
+  insert: 'Insert', delete: 'Delete', backspace: 'Backspace', return: 'Enter',
+  tab: 'Tab', escape: 'Escape', pause: 'Pause', print: 'PrintScreen',
+  menu: 'ContextMenu', help: 'Help', clear: 'Clear', cancel: 'Cancel',
+  undo: 'Undo', redo: 'Redo', find: 'Find', execute: 'Execute', select: 'Select'
+};
+
+// Other spellings of canonical names: DOM key values, X11 synonyms and the
+// names older versions of the extension stored
+LyXKeyNames.ALIASES = {
+  arrowleft: 'left', arrowright: 'right', arrowup: 'up', arrowdown: 'down',
+  pageup: 'prior', pagedown: 'next', page_up: 'prior', page_down: 'next',
+  enter: 'return', esc: 'escape', del: 'delete', ins: 'insert',
+  printscreen: 'print', contextmenu: 'menu',
+  // Qt reports Shift+Tab as BackTab; bind files always spell it with S-
+  backtab: 'tab', iso_left_tab: 'tab',
+  kp_page_up: 'kp_prior', kp_page_down: 'kp_next'
+};
+
+LyXKeyNames.KEYSYMS = new Set([
+  ...Object.values(LyXKeyNames.CHAR_TO_KEYSYM),
+  ...Object.keys(LyXKeyNames.KEYSYM_TO_DOM_KEY),
+  ...Object.values(LyXKeyNames.NUMPAD_CODES),
+  ...Object.keys(LyXKeyNames.KEYPAD_LAYOUT).map(name => `kp_${name}`)
+]);
+
+// Named keys whose X11 keysym is not all lowercase
+LyXKeyNames.LYX_SPELLING = {
+  left: 'Left', right: 'Right', up: 'Up', down: 'Down',
+  prior: 'Prior', next: 'Next', home: 'Home', end: 'End',
+  insert: 'Insert', delete: 'Delete', backspace: 'BackSpace', return: 'Return',
+  tab: 'Tab', escape: 'Escape', pause: 'Pause', print: 'Print',
+  menu: 'Menu', help: 'Help', clear: 'Clear', cancel: 'Cancel',
+  undo: 'Undo', redo: 'Redo', find: 'Find', execute: 'Execute', select: 'Select',
+  begin: 'Begin'
+};
+
+LyXKeyNames.DISPLAY = {
+  left: '←', right: '→', up: '↑', down: '↓',
+  prior: 'PgUp', next: 'PgDn', home: 'Home', end: 'End',
+  insert: 'Ins', delete: '⌦', backspace: '⌫', return: '⏎',
+  tab: '⇥', escape: 'Esc', space: '␣', nobreakspace: 'NBSP'
+};
+LyXKeyNames.KEYPAD_DISPLAY = {
+  add: '+', subtract: '-', multiply: '*', divide: '/', decimal: '.',
+  enter: '⏎', equal: '=', separator: ',', begin: 'Begin'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXKeyNames;
+} else if (typeof window !== 'undefined') {
+  window.LyXKeyNames = LyXKeyNames;
+}
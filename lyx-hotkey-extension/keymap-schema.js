@@ -0,0 +1,328 @@
+/**
+ * Keymap Schema for LyX Hotkey Extension
+ * The versioned JSON format keymaps are stored, imported and exported in,
+ * its validator, and the migrations that upgrade keymaps written by older
+ * versions of the extension
+ */
+
+class LyXKeymapSchema {
+  /**
+   * Wrap mappings in a keymap document of the current version
+   * @param {Map|Object} mappings - Mapping keys ("ctrl+l a") to actions
+   * @returns {{format: string, version: number, mappings: Object}} - Keymap document
+   */
+  static createDocument(mappings) {
+    return {
+      format: LyXKeymapSchema.FORMAT,
+      version: LyXKeymapSchema.VERSION,
+      mappings: mappings instanceof Map ? Object.fromEntries(mappings) : { ...mappings }
+    };
+  }
+
+  /**
+   * Get the version of stored or imported keymap data. Bare mapping objects,
+   * as stored before the format was versioned, are version 1
+   * @param {Object} data - Keymap document or bare mappings
+   * @returns {number} - Format version
+   */
+  static versionOf(data) {
+    if (LyXKeymapSchema.isDocument(data)) {
+      return data.version;
+    }
+    return 1;
+  }
+
+  /**
+   * Check whether data is a keymap document rather than bare mappings
+   * @param {Object} data - Keymap document or bare mappings
+   * @returns {boolean} - True for {format, version, mappings} documents
+   */
+  static isDocument(data) {
+    return !!data && data.format === LyXKeymapSchema.FORMAT && typeof data.mappings === 'object';
+  }
+
+  /**
+   * Upgrade keymap data of any earlier version to the current one
+   * @param {Object} data - Keymap document or bare mappings
+   * @param {number} [fromVersion] - Version of the data, if it is stored separately
+   * @returns {{document: Object, migrated: boolean}} - Current document and whether anything was upgraded
+   * @throws {Error} - If the data is newer than this extension understands
+   */
+  static migrate(data, fromVersion = LyXKeymapSchema.versionOf(data)) {
+    if (fromVersion > LyXKeymapSchema.VERSION) {
+      throw new Error(`Keymap version ${fromVersion} is newer than this extension supports (${LyXKeymapSchema.VERSION})`);
+    }
+
+    let mappings = LyXKeymapSchema.isDocument(data) ? data.mappings : (data || {});
+    for (let version = fromVersion; version < LyXKeymapSchema.VERSION; version++) {
+      mappings = LyXKeymapSchema.MIGRATIONS[version](mappings);
+      LyXKeymapSchema.log.info(`🔄 Migrated keymap from version ${version} to ${version + 1}`);
+    }
+
+    return {
+      document: LyXKeymapSchema.createDocument(mappings),
+      migrated: fromVersion < LyXKeymapSchema.VERSION
+    };
+  }
+
+  /**
+   * Upgrade stored data holding keymaps: the global mappings and the
+   * mappings of each site profile
+   * @param {Object} data - Storage values
+   * @param {Object} [data.hotkeyMappings] - Global mappings
+   * @param {Object} [data.profiles] - Map of profile id to profile
+   * @param {number} fromVersion - Version the keymaps are stored in
+   * @returns {Object} - The upgraded hotkeyMappings and profiles (only those present in data)
+   */
+  static migrateStoredData({ hotkeyMappings, profiles }, fromVersion) {
+    const upgrade = (mappings) => LyXKeymapSchema.migrate(mappings, fromVersion).document.mappings;
+    const updates = {};
+
+    if (hotkeyMappings) {
+      updates.hotkeyMappings = upgrade(hotkeyMappings);
+    }
+    if (profiles) {
+      updates.profiles = {};
+      for (const [id, profile] of Object.entries(profiles)) {
+        updates.profiles[id] = profile.mappings ? { ...profile, mappings: upgrade(profile.mappings) } : profile;
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Validate a keymap document of the current version
+   * @param {Object} doc - Keymap document
+   * @returns {Array<string>} - Error messages, each starting with the path of the offending value;
+   *   empty if the document is valid
+   */
+  static validate(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      return ['The keymap must be a JSON object'];
+    }
+
+    const errors = [];
+    if (doc.format !== LyXKeymapSchema.FORMAT) {
+      errors.push(`format: expected "${LyXKeymapSchema.FORMAT}"`);
+    }
+    if (doc.version !== LyXKeymapSchema.VERSION) {
+      errors.push(`version: expected ${LyXKeymapSchema.VERSION}`);
+    }
+    if (!doc.mappings || typeof doc.mappings !== 'object' || Array.isArray(doc.mappings)) {
+      errors.push('mappings: expected an object of key sequences to actions');
+      return errors;
+    }
+
+    return errors.concat(LyXKeymapSchema.validateMappings(doc.mappings));
+  }
+
+  /**
+   * Validate bare mappings
+   * @param {Object} mappings - Mapping keys to actions
+   * @returns {Array<string>} - Error messages
+   */
+  static validateMappings(mappings) {
+    const errors = [];
+    for (const [key, action] of Object.entries(mappings)) {
+      const path = `mappings[${JSON.stringify(key)}]`;
+      LyXKeymapSchema.validateKey(key, path, errors);
+      LyXKeymapSchema.validateAction(action, path, errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Check that a mapping key is a sequence of canonical chords
+   * @param {string} key - Mapping key
+   * @param {string} path - Path for error messages
+   * @param {Array<string>} errors - Collected errors
+   */
+  static validateKey(key, path, errors) {
+    if (!key.trim()) {
+      errors.push(`${path}: the key sequence is empty`);
+      return;
+    }
+
+    // Unknown key names are allowed: the parser keeps them (with a
+    // diagnostic) and they simply never match a key press
+    for (const chord of LyXKeyNames.parseSequence(key)) {
+      const unknown = [...chord.modifiers, ...chord.optional]
+        .find(modifier => !LyXKeyNames.MODIFIERS.includes(modifier));
+      if (unknown !== undefined) {
+        errors.push(`${path}: unknown modifier "${unknown}"`);
+        return;
+      }
+    }
+
+    const canonical = LyXKeymapSchema.canonicalKey(key);
+    if (canonical !== key) {
+      errors.push(`${path}: key is not canonical, write "${canonical}"`);
+    }
+  }
+
+  /**
+   * Check the shape of an action, recursing into composite actions
+   * @param {*} action - Action object
+   * @param {string} path - Path for error messages
+   * @param {Array<string>} errors - Collected errors
+   */
+  static validateAction(action, path, errors) {
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      errors.push(`${path}: expected an action object`);
+      return;
+    }
+
+    const fields = LyXKeymapSchema.ACTION_FIELDS[action.type];
+    if (!fields) {
+      errors.push(`${path}.type: unknown action type ${JSON.stringify(action.type)}`);
+      return;
+    }
+
+    for (const [field, kind] of Object.entries(fields)) {
+      const value = action[field];
+      if (kind === 'actions') {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${path}.${field}: expected a non-empty array of actions`);
+        } else {
+          value.forEach((child, index) => LyXKeymapSchema.validateAction(child, `${path}.${field}[${index}]`, errors));
+        }
+      } else if (typeof value !== 'string') {
+        errors.push(`${path}.${field}: expected a string`);
+      }
+    }
+
+    if (action.context !== undefined && !LyXKeymapSchema.CONTEXTS.includes(action.context)) {
+      errors.push(`${path}.context: expected one of ${LyXKeymapSchema.CONTEXTS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Rewrite a mapping key with canonical key names and modifier order,
+   * e.g. "shift+ctrl+arrowleft" → "ctrl+shift+left"
+   * @param {string} key - Mapping key
+   * @returns {string} - Canonical mapping key
+   */
+  static canonicalKey(key) {
+    return key.trim().split(/\s+/).map(chord => {
+      // "ctrl++" binds the plus key itself
+      const plus = chord.endsWith('++') || chord === '+';
+      const descriptor = LyXKeyNames.parseChord(plus ? `${chord.slice(0, -1)}plus` : chord);
+      return LyXKeyNames.formatChord({ ...descriptor, key: LyXKeyNames.canonical(descriptor.key) });
+    }).join(' ');
+  }
+
+  /**
+   * Build a migration step that replaces actions equal to a command's old
+   * fixed output with a format action for that command
+   * @param {Object} legacyActions - Map of command to the action it used to store
+   * @returns {function(Object): Object} - Upgrade of an action, nested actions included
+   */
+  static formatActionUpgrade(legacyActions) {
+    const legacy = Object.entries(legacyActions);
+    const upgradeAction = (action) => {
+      if (action && (action.type === 'sequence' || action.type === 'alternatives') && Array.isArray(action.actions)) {
+        return { ...action, actions: action.actions.map(upgradeAction) };
+      }
+
+      const { context, ...plain } = action || {};
+      const match = legacy.find(([, old]) => JSON.stringify(old) === JSON.stringify(plain));
+      if (!match) {
+        return action;
+      }
+      const upgraded = { type: 'format', command: match[0] };
+      return context ? { ...upgraded, context } : upgraded;
+    };
+    return upgradeAction;
+  }
+}
+
+LyXKeymapSchema.log = new LyXLogger('keymap');
+
+// Identifies keymap documents
+LyXKeymapSchema.FORMAT = 'lyx-hotkeys-keymap';
+
+// Current format version:
+// 1 - bare mappings object, DOM key names ("arrowleft") and dialect-specific wraps
+// 2 - {format, version, mappings}, canonical X11 key names, dialect-neutral format actions
+// 3 - quotes, special characters, spaces and breaks are format actions too
+LyXKeymapSchema.VERSION = 3;
+
+// Fields every action type requires: 'string' or 'actions' (nested actions)
+LyXKeymapSchema.ACTION_FIELDS = {
+  insert: { text: 'string' },
+  wrap: { before: 'string', after: 'string' },
+  format: { command: 'string' },
+  navigation: { action: 'string' },
+  selection: { action: 'string' },
+  delete: { action: 'string' },
+  clipboard: { action: 'string' },
+  edit: { action: 'string' },
+  sequence: { actions: 'actions' },
+  alternatives: { actions: 'actions' }
+};
+
+// Where an action may run, see LyXConfigParser.getCommandContext()
+LyXKeymapSchema.CONTEXTS = ['any', 'math', 'text'];
+
+// Actions version 1 stored for the commands that now render per dialect;
+// those wraps and inserts were the Markdown output of the command
+LyXKeymapSchema.LEGACY_FORMAT_ACTIONS = {
+  'font-bold': { type: 'wrap', before: '**', after: '**' },
+  'font-emph': { type: 'wrap', before: '*', after: '*' },
+  'font-underline': { type: 'wrap', before: '_', after: '_' },
+  'font-typewriter': { type: 'wrap', before: '`', after: '`' },
+  'font-strikeout': { type: 'wrap', before: '~~', after: '~~' },
+  'math-mode': { type: 'wrap', before: '$', after: '$' },
+  'math-display': { type: 'wrap', before: '$$\n', after: '\n$$' },
+  'ert-insert': { type: 'wrap', before: '\\', after: '' },
+  'newline-insert linebreak': { type: 'insert', text: '\\\\\n' }
+};
+
+// Inserts version 2 stored for the commands that version 3 renders per
+// dialect; each was the plain-text output of the command
+LyXKeymapSchema.LEGACY_TEXT_ACTIONS = {
+  'quote-insert inner': { type: 'insert', text: '"' },
+  'quote-insert outer auto plain': { type: 'insert', text: '\'' },
+  'specialchar-insert hyphenation': { type: 'insert', text: '\u00AD' },
+  'specialchar-insert nobreakdash': { type: 'insert', text: '\u2011' },
+  'specialchar-insert ligature-break': { type: 'insert', text: '\u200C' },
+  'specialchar-insert slash': { type: 'insert', text: '/' },
+  'specialchar-insert end-of-sentence': { type: 'insert', text: '. ' },
+  'specialchar-insert dots': { type: 'insert', text: '…' },
+  'space-insert protected': { type: 'insert', text: '\u00A0' },
+  'space-insert normal': { type: 'insert', text: ' ' },
+  'space-insert thin': { type: 'insert', text: '\u2009' },
+  'paragraph-break': { type: 'insert', text: '\n\n' },
+  'newline-insert newline': { type: 'insert', text: '\n' }
+};
+
+// Upgrade steps: MIGRATIONS[n] turns version n mappings into version n + 1
+LyXKeymapSchema.MIGRATIONS = {
+  1: (mappings) => {
+    const upgradeAction = LyXKeymapSchema.formatActionUpgrade(LyXKeymapSchema.LEGACY_FORMAT_ACTIONS);
+    const upgraded = {};
+    for (const [key, action] of Object.entries(mappings)) {
+      const canonical = LyXKeymapSchema.canonicalKey(key);
+      // Keys that only differed in spelling collapse; keep the first, as the trie does
+      if (!(canonical in upgraded)) {
+        upgraded[canonical] = upgradeAction(action);
+      }
+    }
+    return upgraded;
+  },
+  2: (mappings) => {
+    const upgradeAction = LyXKeymapSchema.formatActionUpgrade(LyXKeymapSchema.LEGACY_TEXT_ACTIONS);
+    const upgraded = {};
+    for (const [key, action] of Object.entries(mappings)) {
+      upgraded[key] = upgradeAction(action);
+    }
+    return upgraded;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXKeymapSchema;
+} else if (typeof window !== 'undefined') {
+  window.LyXKeymapSchema = LyXKeymapSchema;
+}
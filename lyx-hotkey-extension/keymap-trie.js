@@ -0,0 +1,172 @@
+/**
+ * Keymap Trie for LyX Hotkey Extension
+ * Compiles hotkey mappings once into a tree keyed by canonical chords, so a
+ * key press is matched by following one branch instead of scanning every binding
+ */
+
+class LyXKeymapTrie {
+  /**
+   * @param {Object} mappings - Map of mapping keys ("ctrl+l ~shift+quotedbl") to actions
+   */
+  constructor(mappings = {}) {
+    this.root = LyXKeymapTrie.createNode();
+    this.size = 0;
+
+    for (const [key, action] of Object.entries(mappings)) {
+      this.insert(key, action);
+    }
+  }
+
+  static createNode() {
+    return { children: new Map(), binding: null };
+  }
+
+  /**
+   * Add a binding. Optional modifiers are expanded into every chord they
+   * allow, so lookups never need to parse or compare chord descriptors
+   * @param {string} key - Mapping key
+   * @param {Object} action - Action object
+   */
+  insert(key, action) {
+    const chords = LyXKeyNames.parseSequence(key);
+    const exact = !key.includes('~');
+    const binding = { key, chords, action, exact };
+
+    for (const path of LyXKeymapTrie.expandSequence(chords)) {
+      let node = this.root;
+      for (const chord of path) {
+        if (!node.children.has(chord)) {
+          node.children.set(chord, LyXKeymapTrie.createNode());
+        }
+        node = node.children.get(chord);
+      }
+
+      // A key written exactly as pressed wins over keys that match through
+      // optional modifiers; otherwise the first binding for a path is kept
+      if (!node.binding || (exact && !node.binding.exact)) {
+        node.binding = binding;
+      }
+    }
+    this.size++;
+  }
+
+  /**
+   * Follow pressed chords down the trie. The node tells both whether the
+   * sequence is bound (binding) and whether longer sequences start with it
+   * (children), so callers can decide between the two in one lookup
+   * @param {Array<string>} chords - Pressed chords, as produced by LyXKeyNames.chordFromEvent()
+   * @returns {{binding: Object|null, children: Map}|null} - The node, or null if nothing starts with the chords
+   */
+  lookup(chords) {
+    let node = this.root;
+    for (const chord of chords) {
+      node = node.children.get(chord);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Find bindings that are also a prefix of longer bindings, e.g. "ctrl+l"
+   * next to "ctrl+l a"; how they behave depends on the prefix policy
+   * @returns {Array<{key: string, longer: Array<string>}>} - Each shorter mapping key and the keys it prefixes
+   */
+  overlaps() {
+    const overlaps = new Map();
+
+    const visit = (node, depth) => {
+      if (node.binding && node.children.size > 0) {
+        const entry = overlaps.get(node.binding.key) || { key: node.binding.key, longer: [] };
+        for (const { key } of LyXKeymapTrie.completions(node, depth)) {
+          if (!entry.longer.includes(key)) {
+            entry.longer.push(key);
+          }
+        }
+        overlaps.set(entry.key, entry);
+      }
+      for (const child of node.children.values()) {
+        visit(child, depth + 1);
+      }
+    };
+
+    visit(this.root, 0);
+    return Array.from(overlaps.values());
+  }
+
+  /**
+   * Check whether a node has longer sequences below it
+   * @param {Object|null} node - Node returned by lookup()
+   * @returns {boolean} - True if more keys can complete a binding
+   */
+  static isPrefix(node) {
+    return !!node && node.children.size > 0;
+  }
+
+  /**
+   * List the bindings below a node
+   * @param {Object} node - Node returned by lookup()
+   * @param {number} depth - Number of chords already pressed
+   * @returns {Array<{key: string, rest: string, action: Object}>} - Mapping keys, the
+   *   chords still to press (as written in the binding) and their actions
+   */
+  static completions(node, depth) {
+    const completions = [];
+    const seen = new Set(); // Expanded optional modifiers reach one binding by several paths
+
+    const visit = (current) => {
+      for (const child of current.children.values()) {
+        const { binding } = child;
+        if (binding && !seen.has(binding.key)) {
+          seen.add(binding.key);
+          const rest = binding.chords.slice(depth).map(chord => LyXKeyNames.formatChord(chord)).join(' ');
+          completions.push({ key: binding.key, rest, action: binding.action });
+        }
+        visit(child);
+      }
+    };
+
+    visit(node);
+    return completions;
+  }
+
+  /**
+   * Expand chord descriptors into every concrete chord sequence they match
+   * @param {Array<Object>} chords - Chord descriptors, see LyXKeyNames.parseChord()
+   * @returns {Array<Array<string>>} - Sequences of canonical chord strings
+   */
+  static expandSequence(chords) {
+    return chords.reduce((paths, chord) => {
+      const variants = LyXKeymapTrie.expandChord(chord);
+      return paths.flatMap(path => variants.map(variant => [...path, variant]));
+    }, [[]]);
+  }
+
+  /**
+   * Expand one chord descriptor, e.g. "ctrl+~shift+a" → ["ctrl+a", "ctrl+shift+a"]
+   * @param {Object} chord - Chord descriptor
+   * @returns {Array<string>} - Canonical chord strings
+   */
+  static expandChord(chord) {
+    return chord.optional.reduce((variants, modifier) => variants.flatMap(modifiers => [
+      modifiers,
+      [...modifiers, modifier]
+    ]), [chord.modifiers]).map(modifiers => LyXKeyNames.formatChord({ modifiers, optional: [], key: chord.key }));
+  }
+}
+
+// What happens when a pressed sequence is bound and also starts longer bindings
+LyXKeymapTrie.PREFIX_POLICIES = {
+  immediate: 'Run the shorter binding at once (longer ones are unreachable)',
+  timeout: 'Wait for the next key, run the shorter binding if none follows',
+  strict: 'Strict prefix, as in LyX (the shorter binding never runs)'
+};
+LyXKeymapTrie.DEFAULT_PREFIX_POLICY = 'timeout';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXKeymapTrie;
+} else if (typeof window !== 'undefined') {
+  window.LyXKeymapTrie = LyXKeymapTrie;
+}
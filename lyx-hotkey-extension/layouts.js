@@ -0,0 +1,173 @@
+/**
+ * Keyboard Layouts for LyX Hotkey Extension
+ * Describes what the physical keys of common layouts type, so the options
+ * page can tell which bindings cannot be pressed on the user's keyboard
+ */
+
+class LyXKeyboardLayouts {
+  /**
+   * List the bundled layouts
+   * @returns {Array<{id: string, name: string}>} - Layout ids and display names
+   */
+  static list() {
+    return Object.entries(LyXKeyboardLayouts.LAYOUTS).map(([id, layout]) => ({ id, name: layout.name }));
+  }
+
+  /**
+   * Get the key table of a layout
+   * @param {string} layoutId - Layout id, e.g. "de"
+   * @returns {Object} - Map of KeyboardEvent.code to [unshifted, shifted, AltGr] characters
+   */
+  static getKeys(layoutId) {
+    const layout = LyXKeyboardLayouts.LAYOUTS[layoutId] || LyXKeyboardLayouts.LAYOUTS[LyXKeyboardLayouts.DEFAULT];
+    return { ...LyXKeyNames.US_LAYOUT, ...layout.keys };
+  }
+
+  /**
+   * Find the keys that type a keysym on a layout
+   * @param {string} layoutId - Layout id
+   * @param {string} keysym - Canonical key name
+   * @returns {Array<{code: string, shift: boolean, altGraph: boolean}>} - Key positions
+   */
+  static locate(layoutId, keysym) {
+    const positions = [];
+    for (const [code, chars] of Object.entries(LyXKeyboardLayouts.getKeys(layoutId))) {
+      chars.forEach((char, level) => {
+        if (char && LyXKeyNames.canonical(char) === keysym) {
+          positions.push({ code, shift: level === 1, altGraph: level === 2 });
+        }
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Check whether a bound chord can be pressed
+   * @param {Object} chord - Chord descriptor, see LyXKeyNames.parseChord()
+   * @param {string} layoutId - Layout of the user's keyboard
+   * @param {string} matchMode - 'character' to match the character a key types,
+   *   'physical' to match the key at the same position on a US keyboard
+   * @returns {boolean} - True if some key press produces the chord
+   */
+  static isChordReachable(chord, layoutId, matchMode) {
+    // Keys that do not type characters (arrows, F-keys, keypad) are on every layout
+    if (!LyXKeyboardLayouts.isCharacterKey(chord.key)) {
+      return true;
+    }
+
+    // Physical matching names every key by its US character, whatever the layout types
+    const positions = LyXKeyboardLayouts.locate(matchMode === 'physical' ? 'us' : layoutId, chord.key);
+    const shiftOptional = chord.optional.includes('shift');
+    const shiftRequired = chord.modifiers.includes('shift');
+
+    return positions.some(position => {
+      if (!shiftOptional && position.shift !== shiftRequired) {
+        return false;
+      }
+      // AltGr is reported as Ctrl+Alt on Windows, so it cannot combine with them
+      return !position.altGraph || !chord.modifiers.some(modifier => modifier === 'ctrl' || modifier === 'alt');
+    });
+  }
+
+  /**
+   * Check whether every chord of a mapping key can be pressed
+   * @param {string} sequence - Mapping key, e.g. "ctrl+l ~shift+quotedbl"
+   * @param {string} layoutId - Layout id
+   * @param {string} matchMode - 'character' or 'physical'
+   * @returns {boolean} - True if the whole sequence can be typed
+   */
+  static isSequenceReachable(sequence, layoutId, matchMode) {
+    return LyXKeyNames.parseSequence(sequence)
+      .every(chord => LyXKeyboardLayouts.isChordReachable(chord, layoutId, matchMode));
+  }
+
+  /**
+   * Build the key press that types a key on a layout, with the character the
+   * layout produces for the shift state held (Shift+= arrives as "+")
+   * @param {string} keysym - Canonical key name
+   * @param {boolean} shift - Whether Shift is held
+   * @param {string} layoutId - Layout id
+   * @param {string} matchMode - 'character' or 'physical'
+   * @returns {{key: string, code: string}|null} - KeyboardEvent init, or null if no key
+   *   types it with that shift state
+   */
+  static keyPress(keysym, shift, layoutId, matchMode) {
+    if (!LyXKeyboardLayouts.isCharacterKey(keysym)) {
+      return LyXKeyNames.toEventInit(keysym); // Arrows, F-keys and the like are the same with Shift
+    }
+
+    // Physical matching names the key by its US character, whatever the layout types
+    const position = LyXKeyboardLayouts.locate(matchMode === 'physical' ? 'us' : layoutId, keysym)
+      .find(candidate => !candidate.altGraph && candidate.shift === shift);
+    if (!position) {
+      return null;
+    }
+
+    const chars = LyXKeyboardLayouts.getKeys(layoutId)[position.code];
+    return { key: chars[shift ? 1 : 0] || chars[0], code: position.code };
+  }
+
+  static isCharacterKey(keysym) {
+    return keysym !== 'space' && (keysym.length === 1 || Object.values(LyXKeyNames.CHAR_TO_KEYSYM).includes(keysym));
+  }
+}
+
+LyXKeyboardLayouts.DEFAULT = 'us';
+
+// How bindings are matched against key presses
+LyXKeyboardLayouts.MATCH_MODES = {
+  character: 'Characters typed (e.key)',
+  physical: 'Physical keys, US positions (e.code)'
+};
+LyXKeyboardLayouts.DEFAULT_MATCH_MODE = 'character';
+
+// Keys that differ from the US layout: [unshifted, shifted, AltGr]
+LyXKeyboardLayouts.LAYOUTS = {
+  us: {
+    name: 'English (US)',
+    keys: {}
+  },
+  de: {
+    name: 'German (QWERTZ)',
+    keys: {
+      Backquote: ['^', '°'], Digit2: ['2', '"', '²'], Digit3: ['3', '§', '³'],
+      Digit6: ['6', '&'], Digit7: ['7', '/', '{'], Digit8: ['8', '(', '['],
+      Digit9: ['9', ')', ']'], Digit0: ['0', '=', '}'], Minus: ['ß', '?', '\\'], Equal: ['´', '`'],
+      KeyQ: ['q', 'Q', '@'], KeyE: ['e', 'E', '€'], KeyY: ['z', 'Z'], KeyZ: ['y', 'Y'], KeyM: ['m', 'M', 'µ'],
+      BracketLeft: ['ü', 'Ü'], BracketRight: ['+', '*', '~'], Backslash: ['#', "'"],
+      Semicolon: ['ö', 'Ö'], Quote: ['ä', 'Ä'], Comma: [',', ';'], Period: ['.', ':'], Slash: ['-', '_'],
+      IntlBackslash: ['<', '>', '|']
+    }
+  },
+  fr: {
+    name: 'French (AZERTY)',
+    keys: {
+      Backquote: ['²', ''], Digit1: ['&', '1'], Digit2: ['é', '2', '~'], Digit3: ['"', '3', '#'],
+      Digit4: ["'", '4', '{'], Digit5: ['(', '5', '['], Digit6: ['-', '6', '|'], Digit7: ['è', '7', '`'],
+      Digit8: ['_', '8', '\\'], Digit9: ['ç', '9', '^'], Digit0: ['à', '0', '@'], Minus: [')', '°', ']'],
+      Equal: ['=', '+', '}'], KeyQ: ['a', 'A'], KeyW: ['z', 'Z'], KeyE: ['e', 'E', '€'], KeyA: ['q', 'Q'],
+      KeyZ: ['w', 'W'], KeyM: [',', '?'], BracketLeft: ['^', '¨'], BracketRight: ['$', '£', '¤'],
+      Backslash: ['*', 'µ'], Semicolon: ['m', 'M'], Quote: ['ù', '%'], Comma: [';', '.'],
+      Period: [':', '/'], Slash: ['!', '§'], IntlBackslash: ['<', '>']
+    }
+  },
+  he: {
+    name: 'Hebrew',
+    keys: {
+      Backquote: [';', '~'], KeyQ: ['/', 'Q'], KeyW: ["'", 'W'], KeyE: ['ק', 'E'], KeyR: ['ר', 'R'],
+      KeyT: ['א', 'T'], KeyY: ['ט', 'Y'], KeyU: ['ו', 'U'], KeyI: ['ן', 'I'], KeyO: ['ם', 'O'],
+      KeyP: ['פ', 'P'], BracketLeft: [']', '}'], BracketRight: ['[', '{'], KeyA: ['ש', 'A'],
+      KeyS: ['ד', 'S'], KeyD: ['ג', 'D'], KeyF: ['כ', 'F'], KeyG: ['ע', 'G'], KeyH: ['י', 'H'],
+      KeyJ: ['ח', 'J'], KeyK: ['ל', 'K'], KeyL: ['ך', 'L'], Semicolon: ['ף', ':'], Quote: [',', '"'],
+      KeyZ: ['ז', 'Z'], KeyX: ['ס', 'X'], KeyC: ['ב', 'C'], KeyV: ['ה', 'V'], KeyB: ['נ', 'B'],
+      KeyN: ['מ', 'N'], KeyM: ['צ', 'M'], Comma: ['ת', '>'], Period: ['ץ', '<'], Slash: ['.', '?']
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXKeyboardLayouts;
+} else if (typeof window !== 'undefined') {
+  window.LyXKeyboardLayouts = LyXKeyboardLayouts;
+}
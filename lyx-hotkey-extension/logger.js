@@ -0,0 +1,169 @@
+/**
+ * Logger for LyX Hotkey Extension
+ * Leveled logging per subsystem. Entries at or above the console level go
+ * to the console of the page, options page or worker that logged them;
+ * entries at or above the capture level are batched to the background
+ * worker, which keeps the most recent ones for the log viewer in debug.html
+ */
+
+class LyXLogger {
+  /**
+   * @param {string} subsystem - Subsystem the entries belong to, see LyXLogger.SUBSYSTEMS
+   */
+  constructor(subsystem) {
+    this.subsystem = subsystem;
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  trace(...args) {
+    this.write('trace', args);
+  }
+
+  /**
+   * Log an entry if its subsystem is on and its level passes a threshold
+   * @param {string} level - Entry level
+   * @param {Array} args - Message parts, as for console.log()
+   */
+  write(level, args) {
+    const config = LyXLogger.config;
+    if (config.subsystems[this.subsystem] === false) {
+      return;
+    }
+
+    const rank = LyXLogger.LEVELS.indexOf(level);
+    if (rank <= LyXLogger.LEVELS.indexOf(config.level)) {
+      console[LyXLogger.CONSOLE_METHODS[level]](`[LyX ${this.subsystem}]`, ...args);
+    }
+    if (rank <= LyXLogger.LEVELS.indexOf(config.captureLevel)) {
+      LyXLogger.capture({
+        time: Date.now(),
+        level,
+        subsystem: this.subsystem,
+        message: LyXLogger.format(args)
+      });
+    }
+  }
+
+  /**
+   * Apply the logging settings
+   * @param {Object} settings - Settings, see LyXSettings.DEFAULTS
+   */
+  static configure({ logLevel, logCaptureLevel, logSubsystems } = {}) {
+    LyXLogger.config = {
+      level: logLevel || LyXLogger.config.level,
+      captureLevel: logCaptureLevel || LyXLogger.config.captureLevel,
+      subsystems: logSubsystems || LyXLogger.config.subsystems
+    };
+  }
+
+  /**
+   * Queue an entry for the sink. Entries are sent in batches, so a burst of
+   * key events costs one message rather than one per entry
+   * @param {Object} entry - Log entry
+   */
+  static capture(entry) {
+    LyXLogger.pending.push(entry);
+    if (!LyXLogger.flushTimer) {
+      LyXLogger.flushTimer = setTimeout(LyXLogger.flush, LyXLogger.FLUSH_DELAY);
+    }
+  }
+
+  static flush() {
+    const entries = LyXLogger.pending;
+    LyXLogger.pending = [];
+    LyXLogger.flushTimer = null;
+    if (entries.length > 0) {
+      LyXLogger.sink(entries);
+    }
+  }
+
+  /**
+   * Send entries to the background worker's log buffer
+   * @param {Array<Object>} entries - Log entries
+   */
+  static sendToBackground(entries) {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.id) {
+      return; // Not in the extension, or the extension was reloaded under this page
+    }
+    chrome.runtime.sendMessage({ action: 'log', entries }).catch(() => {});
+  }
+
+  /**
+   * Turn console-style arguments into one line of text
+   * @param {Array} args - Message parts
+   * @returns {string} - Message
+   */
+  static format(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') {
+        return arg;
+      }
+      if (arg instanceof Error) {
+        return arg.message;
+      }
+      if (typeof Element !== 'undefined' && arg instanceof Element) {
+        return `<${arg.tagName.toLowerCase()}>`;
+      }
+      let text;
+      try {
+        text = JSON.stringify(arg);
+      } catch (error) {
+        text = String(arg);
+      }
+      return text && text.length > LyXLogger.MAX_VALUE_LENGTH
+        ? `${text.slice(0, LyXLogger.MAX_VALUE_LENGTH)}…`
+        : String(text);
+    }).join(' ');
+  }
+}
+
+// Levels from least to most verbose; a threshold shows its level and all before it
+LyXLogger.LEVELS = ['off', 'error', 'warn', 'info', 'debug', 'trace'];
+
+LyXLogger.CONSOLE_METHODS = {
+  error: 'error',
+  warn: 'warn',
+  info: 'info',
+  debug: 'log',
+  trace: 'debug'
+};
+
+// Subsystems that can be switched off one by one
+LyXLogger.SUBSYSTEMS = {
+  content: 'Key handling in pages',
+  editing: 'Text editing in pages',
+  parser: 'Bind file parsing',
+  keymap: 'Keymap format and migration',
+  options: 'Options page',
+  background: 'Background worker',
+  sync: 'Sync'
+};
+
+LyXLogger.config = { level: 'warn', captureLevel: 'info', subsystems: {} };
+LyXLogger.pending = [];
+LyXLogger.flushTimer = null;
+LyXLogger.sink = LyXLogger.sendToBackground; // The background worker appends to its buffer directly
+LyXLogger.FLUSH_DELAY = 250;
+LyXLogger.MAX_VALUE_LENGTH = 200;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXLogger;
+} else if (typeof window !== 'undefined') {
+  window.LyXLogger = LyXLogger;
+}
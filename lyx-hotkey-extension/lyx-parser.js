@@ -5,6 +5,7 @@
 
 class LyXConfigParser {
   constructor() {
+    this.log = new LyXLogger('parser');
     this.bindings = new Map();
     this.keySequences = new Map();
   }
@@ -13,38 +14,363 @@ class LyXConfigParser {
    * Parse a LyX .bind file content
    * @param {string} content - The content of the .bind file
    * @param {Object} options - Parsing options
-   * @returns {Map} - Map of key sequences to commands
+   * @param {Object|Map} [options.files] - Bind files available to \bind_file, keyed by file name
+   * @param {string} [options.fileName] - Name of the file being parsed, used to detect include cycles
+   * @returns {Map} - Map of key sequences to commands; problems found are left in this.diagnostics
    */
   parse(content, options = {}) {
-    const lines = content.split('\n');
     this.bindings.clear();
     this.keySequences.clear();
     this.options = options; // Store options for use in parseBind
+    this.format = null;
+    this.missingFiles = [];
+    this.diagnostics = []; // Problems found while reading and building, see addDiagnostic()
 
-    // First pass: collect all bindings
+    // First pass: collect all bindings, following \bind_file includes and
+    // applying \unbind in file order exactly like LyX's KeyMap::read
     const rawBindings = [];
-    for (let line of lines) {
-      line = line.trim();
-      
-      // Skip comments and empty lines
-      if (line.startsWith('#') || line.startsWith('Format') || !line || 
-          line.startsWith('\\bind_file')) {
+    this.readBindFile(content, options.fileName || null, rawBindings, []);
+
+    // Second pass: resolve conflicts and build final mappings
+    this.resolveConflictsAndBuild(rawBindings, options);
+    this.sourceBindings = rawBindings; // Bindings in effect, each with the normalizedKey it built, if any
+
+    return this.keySequences;
+  }
+
+  /**
+   * Read the statements of one bind file into rawBindings
+   * @param {string} content - The file content
+   * @param {string|null} fileName - The file name, or null for the top-level text
+   * @param {Array} rawBindings - Accumulated {originalKey, command} bindings
+   * @param {Array} includeStack - Names of the files currently being read
+   */
+  readBindFile(content, fileName, rawBindings, includeStack) {
+    const lines = content.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const positions = [];
+      const tokens = this.tokenizeLine(lines[i], positions);
+      if (tokens.length === 0) {
         continue;
       }
 
-      // Parse \bind statements
-      if (line.startsWith('\\bind ')) {
-        const binding = this.parseBindLine(line);
-        if (binding) {
+      const [tag, ...args] = tokens;
+      const location = { file: fileName, line: i + 1 };
+      const unclosed = positions.find(position => !position.closed);
+      if (unclosed) {
+        this.addDiagnostic(location, 'error', 'syntax', 'Missing closing quote', {
+          column: unclosed.column,
+          suggestion: `Add " at the end of the ${tag === '\\bind' && ['', 'key', 'command'][positions.indexOf(unclosed)] || 'text'} started in column ${unclosed.column}`
+        });
+      }
+
+      switch (tag) {
+        case 'Format':
+          this.readFormat(args[0], fileName);
+          break;
+
+        case '\\bind': {
+          const binding = this.parseBindLine(lines[i]);
+          if (!binding) {
+            // A missing quote already swallowed the rest of the line
+            if (unclosed) {
+              break;
+            }
+            this.addDiagnostic(location, 'error', 'syntax', '\\bind needs a key and a command', {
+              column: positions[positions.length - 1].column,
+              suggestion: 'Write it as \\bind "C-b" "font-bold"'
+            });
+            break;
+          }
+
+          binding.file = fileName;
+          binding.line = i + 1;
+          // Columns of the text inside the quotes
+          binding.keyColumn = positions[1].column + (positions[1].quoted ? 1 : 0);
+          binding.commandColumn = positions[2].column + (positions[2].quoted ? 1 : 0);
+          if (tokens.length > 3) {
+            // LyX reads only the first token after the key
+            this.addDiagnostic(binding, 'warning', 'syntax', `Only "${tokens[2]}" is read as the command; the rest of the line is ignored`, {
+              column: positions[3].column,
+              suggestion: `Quote the whole command: ${JSON.stringify(tokens.slice(2).join(' '))}`
+            });
+          }
+          this.checkKeySequence(binding);
           rawBindings.push(binding);
+          break;
+        }
+
+        case '\\unbind':
+          if (args.length >= 2) {
+            this.unbind(rawBindings, args[0], args[1]);
+          }
+          break;
+
+        case '\\bind_file':
+          if (args.length >= 1) {
+            this.includeBindFile(args[0], rawBindings, includeStack.concat(fileName || []));
+          }
+          break;
+
+        default: {
+          // LyX ignores unknown tags with a warning; so do we
+          this.log.debug(`Unknown tag "${tag}" on line ${i + 1}${fileName ? ` of ${fileName}` : ''}`);
+          const closest = this.findClosest(tag, LyXConfigParser.TAGS);
+          this.addDiagnostic(location, 'warning', 'syntax', `Unknown statement "${tag}"; the line is ignored`, {
+            column: positions[0].column,
+            suggestion: closest ? `Did you mean ${closest}?` : null
+          });
         }
       }
     }
+  }
 
-    // Second pass: resolve conflicts and build final mappings
-    this.resolveConflictsAndBuild(rawBindings, options);
+  /**
+   * Split a bind file line into tokens using the LyX lexer rules:
+   * whitespace separates tokens, double-quoted strings may contain spaces
+   * and backslash escapes (\" and \\), and an unquoted # starts a comment.
+   * @param {string} line - The line to tokenize
+   * @param {Array<Object>} [positions] - Receives {column, quoted, closed} for each
+   *   token: its 1-based start column, whether it was quoted and, if so, whether
+   *   the closing quote was found
+   * @returns {Array<string>} - The tokens on the line
+   */
+  tokenizeLine(line, positions = []) {
+    const tokens = [];
+    let i = 0;
 
-    return this.keySequences;
+    while (i < line.length) {
+      const ch = line[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '#') {
+        break;
+      } else if (ch === '"') {
+        const column = i + 1;
+        let token = '';
+        i++;
+        while (i < line.length && line[i] !== '"') {
+          // Only \" and \\ are escapes; other backslashes start LaTeX macros
+          if (line[i] === '\\' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+            i++;
+          }
+          token += line[i];
+          i++;
+        }
+        positions.push({ column, quoted: true, closed: i < line.length });
+        i++; // Skip the closing quote
+        tokens.push(token);
+      } else {
+        const column = i + 1;
+        let token = '';
+        while (i < line.length && !/[\s"#]/.test(line[i])) {
+          token += line[i];
+          i++;
+        }
+        positions.push({ column, quoted: false, closed: true });
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Record the Format declaration of a bind file
+   * @param {string} value - The format number as written in the file
+   * @param {string|null} fileName - The file declaring the format
+   */
+  readFormat(value, fileName) {
+    const format = parseInt(value, 10);
+    if (isNaN(format)) {
+      this.log.warn(`Invalid Format "${value}"${fileName ? ` in ${fileName}` : ''}`);
+      return;
+    }
+
+    if (format > LyXConfigParser.LFUN_FORMAT) {
+      this.log.warn(`Format ${format}${fileName ? ` of ${fileName}` : ''} is newer than the supported format ${LyXConfigParser.LFUN_FORMAT}; some commands may not be recognized`);
+    }
+
+    // The top-level file's format wins; includes only report their own
+    if (this.format === null || fileName === (this.options.fileName || null)) {
+      this.format = format;
+    }
+  }
+
+  /**
+   * Apply an \unbind statement. As in LyX, the binding is only removed when
+   * the key is currently bound to the same command.
+   * @param {Array} rawBindings - Accumulated bindings
+   * @param {string} keySequence - LyX key sequence to unbind
+   * @param {string} command - Command the key must be bound to
+   */
+  unbind(rawBindings, keySequence, command) {
+    const keyId = this.keyIdentity(keySequence);
+    const commandId = this.commandIdentity(command);
+
+    // Only the binding currently in effect (the last one) can be removed.
+    // Earlier bindings of the key were already overridden, so they go too.
+    const current = rawBindings.filter(binding => this.keyIdentity(binding.originalKey) === keyId).pop();
+    if (!current || this.commandIdentity(current.command) !== commandId) {
+      return;
+    }
+
+    for (let i = rawBindings.length - 1; i >= 0; i--) {
+      if (this.keyIdentity(rawBindings[i].originalKey) === keyId) {
+        rawBindings.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Resolve and read a file named by \bind_file
+   * @param {string} name - File name as written, with or without .bind
+   * @param {Array} rawBindings - Accumulated bindings
+   * @param {Array} includeStack - Names of the files currently being read
+   */
+  includeBindFile(name, rawBindings, includeStack) {
+    const fileName = this.resolveBindFileName(name);
+    const files = this.options.files || {};
+    const content = files instanceof Map ? files.get(fileName) : files[fileName];
+
+    if (includeStack.includes(fileName)) {
+      this.log.warn(`Skipping recursive \\bind_file ${fileName}`);
+      return;
+    }
+
+    if (typeof content !== 'string') {
+      this.log.info(`\\bind_file ${fileName} not found`);
+      this.missingFiles.push(fileName);
+      return;
+    }
+
+    this.readBindFile(content, fileName, rawBindings, includeStack);
+  }
+
+  /**
+   * Normalize a \bind_file argument the way LyX's libFileSearch does:
+   * directories are ignored and a missing .bind extension is added.
+   * @param {string} name - File name as written
+   * @returns {string} - File name to look up
+   */
+  resolveBindFileName(name) {
+    const baseName = name.split(/[\\/]/).pop();
+    return baseName.endsWith('.bind') ? baseName : `${baseName}.bind`;
+  }
+
+  /**
+   * Report unknown modifiers and key names in the key of a binding
+   * @param {Object} binding - Raw binding with keyColumn set
+   */
+  checkKeySequence(binding) {
+    const start = binding.keyColumn;
+
+    for (const match of binding.originalKey.matchAll(/\S+/g)) {
+      let offset = match.index;
+      let rest = match[0];
+      let modifier;
+      while ((modifier = rest.match(/^~?[CSMA]-(?=.)/))) {
+        offset += modifier[0].length;
+        rest = rest.slice(modifier[0].length);
+      }
+
+      const unknownModifier = rest.match(/^~?([A-Za-z]+)-(?=.)/);
+      if (unknownModifier) {
+        const letter = LyXConfigParser.MODIFIER_ALIASES[unknownModifier[1].toLowerCase()];
+        this.addDiagnostic(binding, 'error', 'modifier', `Unknown modifier "${unknownModifier[1]}-" in "${match[0]}"`, {
+          column: start + offset,
+          suggestion: letter ? `Use ${letter}- instead` : 'Modifiers are C- (Ctrl), S- (Shift), M- (Meta) and A- (Alt)'
+        });
+        continue;
+      }
+
+      const keyName = LyXKeyNames.canonical(rest);
+      if (!LyXKeyNames.isKnown(keyName)) {
+        const closest = this.findClosest(keyName, [...LyXKeyNames.KEYSYMS]);
+        this.addDiagnostic(binding, 'warning', 'key', `Unknown key name "${rest}" in "${match[0]}"`, {
+          column: start + offset,
+          suggestion: closest ? `Did you mean ${LyXKeyNames.toLyX(closest)}?` : null
+        });
+      }
+    }
+  }
+
+  /**
+   * Find the candidate closest to a misspelled name
+   * @param {string} name - Name as written
+   * @param {Array<string>} candidates - Valid names
+   * @returns {string|null} - The closest candidate, if within a few edits
+   */
+  findClosest(name, candidates) {
+    const lower = name.toLowerCase();
+    const maxDistance = Math.max(1, Math.floor(lower.length / 3));
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const candidate of candidates) {
+      const distance = LyXConfigParser.editDistance(lower, candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Edit distance between two strings, counting a swap of neighbouring
+   * characters ("Lfet") as one edit
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of single-character edits
+   */
+  static editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) =>
+      Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Build a comparison key for a LyX key sequence, so that "S-C-a" and
+   * "C-S-a" refer to the same binding
+   * @param {string} keySequence - LyX key sequence
+   * @returns {string} - Order-independent identity of the sequence
+   */
+  keyIdentity(keySequence) {
+    return keySequence.trim().split(/\s+/).map(chord => {
+      const modifiers = [];
+      let rest = chord;
+      let match;
+      while ((match = rest.match(/^(~?[CMAS])-(.+)$/))) {
+        modifiers.push(match[1]);
+        rest = match[2];
+      }
+      return modifiers.sort().concat(rest).join('-');
+    }).join(' ');
+  }
+
+  /**
+   * Build a comparison key for a LyX command
+   * @param {string} command - LyX command
+   * @returns {string} - Command with whitespace collapsed
+   */
+  commandIdentity(command) {
+    return command.trim().replace(/\s+/g, ' ');
   }
 
   /**
@@ -53,11 +379,11 @@ class LyXConfigParser {
    * @returns {Object|null} - Binding info or null if invalid
    */
   parseBindLine(line) {
-    const match = line.match(/\\bind\s+"([^"]+)"\s+"([^"]+)"/);
-    if (!match) return null;
+    const tokens = this.tokenizeLine(line);
+    if (tokens[0] !== '\\bind' || tokens.length < 3 || !tokens[1] || !tokens[2]) return null;
 
-    const [, keySequence, command] = match;
-    return { originalKey: keySequence, command };
+    const [, keySequence, command] = tokens;
+    return { originalKey: keySequence, command: this.commandIdentity(command) };
   }
 
   /**
@@ -79,7 +405,7 @@ class LyXConfigParser {
     
     // First pass: identify potential conflicts and promotion candidates
     if (isMac && !options.mapMetaToCtrl) {
-      console.log(`🔧 LyX Parser: Mac Command mapping mode - checking for M-/C- conflicts`);
+      this.log.debug(`🔧 Mac Command mapping mode - checking for M-/C- conflicts`);
       
       // Collect all M- keys that exist
       for (const binding of rawBindings) {
@@ -99,7 +425,9 @@ class LyXConfigParser {
             if (otherBinding.originalKey === `M-${baseKey}` && 
                 otherBinding.command === binding.command) {
               conflictingCtrlKeys.add(binding.originalKey);
-              console.log(`🔧 LyX Parser: Conflict resolution - skipping "${binding.originalKey}" in favor of "M-${baseKey}" → meta+${baseKey}`);
+              this.log.debug(`🔧 Conflict resolution - skipping "${binding.originalKey}" in favor of "M-${baseKey}" → meta+${baseKey}`);
+              this.addDiagnostic(binding, 'info', 'conflict',
+                `${binding.originalKey} is skipped: M-${baseKey} (⌘) is bound to the same command on ${this.describeLocation(otherBinding)}`);
             }
           }
           
@@ -107,16 +435,59 @@ class LyXConfigParser {
           if (commonMacKeys.includes(baseKey) && !metaKeys.has(baseKey)) {
             ctrlKeysToPromote.add(binding.originalKey);
             conflictingCtrlKeys.add(binding.originalKey); // Skip the original C- version
-            console.log(`🔧 LyX Parser: Promoting "${binding.originalKey}" to Command (meta+${baseKey}) for Mac compatibility`);
+            this.log.debug(`🔧 Promoting "${binding.originalKey}" to Command (meta+${baseKey}) for Mac compatibility`);
+            this.addDiagnostic(binding, 'info', 'promoted',
+              `${binding.originalKey} is bound to ⌘ instead of Ctrl, as Mac users expect for this key`);
           }
         }
       }
       
       if (conflictingCtrlKeys.size > 0) {
-        console.log(`🔧 LyX Parser: Resolved ${conflictingCtrlKeys.size} M-/C- conflicts for Command mapping`);
+        this.log.debug(`🔧 Resolved ${conflictingCtrlKeys.size} M-/C- conflicts for Command mapping`);
       }
     }
     
+    // The binding behind each key built so far, to report duplicates and overrides
+    const effective = new Map();
+    const build = (binding, normalizedKey) => {
+      const action = this.convertBinding(binding.command, options);
+      if (!action) {
+        const name = binding.command.split(' ')[0];
+        const closest = this.findClosest(binding.command, Object.keys(LyXConfigParser.COMMAND_MAPPINGS));
+        this.addDiagnostic(binding, 'warning', 'unsupported',
+          `"${binding.command}" is not supported in the browser, so ${binding.originalKey} does nothing`, {
+            column: binding.commandColumn,
+            suggestion: LyXConfigParser.ARGUMENT_COMMANDS[name] && name === binding.command
+              ? `${name} needs an argument: ${LyXConfigParser.ARGUMENT_COMMANDS[name]}`
+              : closest ? `Did you mean "${closest}"?` : null
+          });
+
+        // As in LyX, the later binding still replaces the earlier one
+        binding.normalizedKey = normalizedKey;
+        const previous = effective.get(normalizedKey);
+        if (previous) {
+          this.addDiagnostic(previous, 'warning', 'overridden',
+            `${previous.originalKey} → "${previous.command}" is overridden by "${binding.command}" on ${this.describeLocation(binding)}`);
+          effective.delete(normalizedKey);
+          this.keySequences.delete(normalizedKey);
+        }
+        return;
+      }
+
+      const previous = effective.get(normalizedKey);
+      if (previous && previous.command === binding.command) {
+        this.addDiagnostic(binding, 'info', 'duplicate',
+          `${binding.originalKey} is already bound to "${binding.command}" on ${this.describeLocation(previous)}`);
+      } else if (previous) {
+        this.addDiagnostic(previous, 'warning', 'overridden',
+          `${previous.originalKey} → "${previous.command}" is overridden by "${binding.command}" on ${this.describeLocation(binding)}`);
+      }
+
+      binding.normalizedKey = normalizedKey;
+      effective.set(normalizedKey, binding);
+      this.keySequences.set(normalizedKey, action);
+    };
+
     // Second pass: build final mappings, skipping conflicting C- keys and adding promoted keys
     for (const binding of rawBindings) {
       // Skip conflicting ctrl keys when mapping M- to Command
@@ -124,38 +495,73 @@ class LyXConfigParser {
         // If this key should be promoted, add it as meta+ instead
         if (ctrlKeysToPromote.has(binding.originalKey)) {
           const baseKey = binding.originalKey.substring(2); // Remove "C-"
-          const metaKey = `meta+${baseKey}`;
-          const action = this.convertCommand(binding.command);
-          if (action) {
-            this.keySequences.set(metaKey, action);
-          }
+          build(binding, this.normalizeKeySequence(`M-${baseKey}`, options)); // meta+ in this mode
         }
         continue;
       }
       
-      const normalizedKey = this.normalizeKeySequence(binding.originalKey, options);
-      const action = this.convertCommand(binding.command);
-      
-      if (action) {
-        this.keySequences.set(normalizedKey, action);
+      build(binding, this.normalizeKeySequence(binding.originalKey, options));
+    }
+
+    // The browser or the OS handles some shortcuts before the page sees them
+    const reserved = {
+      ...LyXConfigParser.RESERVED_SHORTCUTS.all,
+      ...(isMac ? LyXConfigParser.RESERVED_SHORTCUTS.mac : LyXConfigParser.RESERVED_SHORTCUTS.other)
+    };
+    for (const [normalizedKey, binding] of effective) {
+      const firstChord = normalizedKey.split(' ')[0];
+      if (reserved[firstChord]) {
+        this.addDiagnostic(binding, 'warning', 'reserved',
+          `${binding.originalKey} is the browser/OS shortcut for "${reserved[firstChord]}" and may never reach the page`);
       }
     }
   }
 
+  /**
+   * Record a problem with a binding or a line
+   * @param {Object} binding - Raw binding ({originalKey, command, file, line}) or {file, line}
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {string} code - Kind of problem, e.g. 'syntax', 'overridden' or 'unsupported'
+   * @param {string} message - Description for the user
+   * @param {Object} [details]
+   * @param {number} [details.column] - 1-based column the problem starts at (default: the key)
+   * @param {string|null} [details.suggestion] - How to fix it
+   */
+  addDiagnostic(binding, severity, code, message, details = {}) {
+    this.diagnostics.push({
+      severity,
+      code,
+      message,
+      file: binding.file || null,
+      line: binding.line,
+      column: details.column || binding.keyColumn || 1,
+      suggestion: details.suggestion || null,
+      key: binding.originalKey || null
+    });
+  }
+
+  /**
+   * Describe where a binding was read, e.g. "line 12" or "line 3 of mac.bind"
+   * @param {Object} binding - Raw binding
+   * @returns {string} - Location text
+   */
+  describeLocation(binding) {
+    return `line ${binding.line}${binding.file ? ` of ${binding.file}` : ''}`;
+  }
+
   /**
    * Parse a single \bind statement (legacy method, replaced by parseBindLine)
    * @param {string} line - The bind line to parse
    */
   parseBind(line) {
     // Extract key sequence and command from \bind "key" "command"
-    const match = line.match(/\\bind\s+"([^"]+)"\s+"([^"]+)"/);
-    if (!match) return;
+    const binding = this.parseBindLine(line);
+    if (!binding) return;
 
-    const [, keySequence, command] = match;
-    const normalizedKey = this.normalizeKeySequence(keySequence, this.options || {});
+    const normalizedKey = this.normalizeKeySequence(binding.originalKey, this.options || {});
     
     // Convert LyX command to appropriate action
-    const action = this.convertCommand(command);
+    const action = this.convertBinding(binding.command, this.options || {});
     if (action) {
       this.keySequences.set(normalizedKey, action);
     }
@@ -165,9 +571,34 @@ class LyXConfigParser {
    * Normalize key sequence from LyX format to browser format
    * @param {string} sequence - LyX key sequence
    * @param {Object} options - Options for key mapping
-   * @returns {string} - Normalized key sequence
+   * @returns {string} - Normalized key sequence, the serialized form of parseKeySequence()
    */
   normalizeKeySequence(sequence, options = {}) {
+    return this.parseKeySequence(sequence, options)
+      .map(chord => LyXKeyNames.formatChord(chord))
+      .join(' ');
+  }
+
+  /**
+   * Parse a LyX key sequence into chord descriptors
+   * @param {string} sequence - LyX key sequence, e.g. "C-x ~S-quotedbl"
+   * @param {Object} options - Options for key mapping
+   * @returns {Array<Object>} - Chord descriptors, see LyXKeyNames.parseChord()
+   */
+  parseKeySequence(sequence, options = {}) {
+    const modifierNames = this.getModifierNames(options);
+    return sequence
+      .trim()
+      .split(/\s+/)
+      .map(chord => this.parseChord(chord, modifierNames));
+  }
+
+  /**
+   * Map LyX modifier letters to browser modifiers for the current platform
+   * @param {Object} options - Options for key mapping
+   * @returns {Object} - Map of LyX modifier letter to browser modifier
+   */
+  getModifierNames(options = {}) {
     // Detect platform for proper key mapping
     const isMac = typeof navigator !== 'undefined' && 
                   navigator.platform.toUpperCase().indexOf('MAC') >= 0;
@@ -180,56 +611,135 @@ class LyXConfigParser {
     };
     
     // LyX uses: C- (Ctrl), M- (Alt/Meta), S- (Shift), A- (Alt)
-    // Convert to standard format - handle M- and A- BEFORE toLowerCase()
-    let normalized = sequence
-      .replace(/C-/g, 'ctrl+')
-      .replace(/S-/g, 'shift+')
-      .replace(/~S-/g, ''); // ~S- means "not shift"
-
-    // Handle M- and A- based on platform and options BEFORE toLowerCase
+    // Handle M- and A- based on platform and options
+    let metaModifier;
     if (isMac) {
       if (macOptions.mapMetaToCtrl) {
         // On Mac: Map M- to Ctrl instead of Meta for practicality
         // This avoids conflicts with system shortcuts like Cmd+M (minimize)
-        console.log(`🔧 LyX Parser: Mac M- mapping to Ctrl (mapMetaToCtrl=true)`);
-        normalized = normalized
-          .replace(/M-/g, 'ctrl+')
-          .replace(/A-/g, 'alt+');
+        this.log.trace(`🔧 Mac M- mapping to Ctrl (mapMetaToCtrl=true)`);
+        metaModifier = 'ctrl';
       } else {
         // Use original Mac mapping (Meta = Cmd key)
-        console.log(`🔧 LyX Parser: Mac M- mapping to Meta (mapMetaToCtrl=false)`);
-        normalized = normalized
-          .replace(/M-/g, 'meta+')
-          .replace(/A-/g, 'alt+');
+        this.log.trace(`🔧 Mac M- mapping to Meta (mapMetaToCtrl=false)`);
+        metaModifier = 'meta';
       }
     } else {
       // On other platforms: M- typically means Alt, A- also means Alt
-      console.log(`🔧 LyX Parser: Non-Mac M- mapping to Alt`);
-      normalized = normalized
-        .replace(/M-/g, 'alt+')
-        .replace(/A-/g, 'alt+');
-    }
-
-    // Now apply toLowerCase and other transformations
-    normalized = normalized
-      .toLowerCase()
-      .replace(/\+([a-z])$/, '+$1') // Ensure lowercase for single chars
-      .replace(/return/g, 'enter')
-      .replace(/backspace/g, 'backspace')
-      .replace(/delete/g, 'delete')
-      .replace(/space/g, 'space')
-      .replace(/tab/g, 'tab')
-      .replace(/escape/g, 'escape')
-      .replace(/prior/g, 'pageup')
-      .replace(/next/g, 'pagedown')
-      .replace(/home/g, 'home')
-      .replace(/end/g, 'end')
-      .replace(/left/g, 'arrowleft')
-      .replace(/right/g, 'arrowright')
-      .replace(/up/g, 'arrowup')
-      .replace(/down/g, 'arrowdown');
-    
-    return normalized;
+      this.log.trace(`🔧 Non-Mac M- mapping to Alt`);
+      metaModifier = 'alt';
+    }
+
+    return { C: 'ctrl', S: 'shift', M: metaModifier, A: 'alt' };
+  }
+
+  /**
+   * Write chord descriptors in LyX notation; the inverse of parseKeySequence()
+   * @param {Array<Object>} chords - Chord descriptors
+   * @param {Object} options - Options for key mapping
+   * @returns {string|null} - LyX key sequence, e.g. "C-x ~S-quotedbl", or null if
+   *   a modifier has no LyX letter on this platform (Command when M- means Ctrl)
+   */
+  formatKeySequence(chords, options = {}) {
+    const modifierNames = this.getModifierNames(options);
+    // C- always means Ctrl; M- is preferred over A- for whatever it stands for
+    const letters = ['C', 'S', 'M', 'A'];
+    const letterFor = modifier => letters.find(letter => modifierNames[letter] === modifier);
+
+    const formatted = [];
+    for (const chord of chords) {
+      const prefixes = [];
+      for (const modifier of LyXKeyNames.MODIFIERS) {
+        const optional = chord.optional.includes(modifier);
+        if (!optional && !chord.modifiers.includes(modifier)) {
+          continue;
+        }
+        const letter = letterFor(modifier);
+        if (!letter) {
+          return null;
+        }
+        prefixes.push(`${optional ? '~' : ''}${letter}-`);
+      }
+      formatted.push(prefixes.join('') + LyXKeyNames.toLyX(chord.key));
+    }
+    return formatted.join(' ');
+  }
+
+  /**
+   * Normalize one chord ("C-S-Left") to the browser format ("ctrl+shift+left")
+   * @param {string} chord - LyX chord
+   * @param {Object} modifierNames - Map of LyX modifier letter to browser modifier
+   * @returns {string} - Serialized chord descriptor
+   */
+  normalizeChord(chord, modifierNames) {
+    return LyXKeyNames.formatChord(this.parseChord(chord, modifierNames));
+  }
+
+  /**
+   * Parse one LyX chord into a descriptor. A modifier prefixed with ~ is
+   * optional: "~S-quotedbl" matches " typed with or without Shift
+   * @param {string} chord - LyX chord
+   * @param {Object} modifierNames - Map of LyX modifier letter to browser modifier
+   * @returns {{modifiers: Array<string>, optional: Array<string>, key: string}} - Chord descriptor
+   */
+  parseChord(chord, modifierNames) {
+    const modifiers = new Set();
+    const optional = new Set();
+    let key = chord;
+    let match;
+
+    // A trailing "-" is the key itself, as in "C--"
+    while ((match = key.match(/^(~?)([CSMA])-(?=.)/))) {
+      key = key.slice(match[0].length);
+      (match[1] ? optional : modifiers).add(modifierNames[match[2]]);
+    }
+
+    const keyName = LyXKeyNames.canonical(key);
+    if (!LyXKeyNames.isKnown(keyName)) {
+      this.log.debug(`⚠️ Unknown key name "${key}" in "${chord}"`);
+    }
+
+    return {
+      modifiers: [...modifiers],
+      // A modifier that is both required and optional is required
+      optional: [...optional].filter(modifier => !modifiers.has(modifier)),
+      key: keyName
+    };
+  }
+
+  /**
+   * Convert the command of a binding to an action, scoping it to the
+   * context (math or text) in which LyX would run it
+   * @param {string} command - LyX command
+   * @param {Object} options - Parsing options
+   * @param {boolean} [options.scopeMathBindings] - Tag math commands with context 'math' (default true)
+   * @returns {Object|null} - Action object or null if not supported
+   */
+  convertBinding(command, options = {}) {
+    const action = this.convertCommand(command);
+    if (!action || options.scopeMathBindings === false) {
+      return action;
+    }
+
+    const context = this.getCommandContext(command);
+    return context === 'any' ? action : { ...action, context };
+  }
+
+  /**
+   * Determine the context a LyX command applies in
+   * @param {string} command - LyX command
+   * @returns {string} - 'math', 'text' or 'any'
+   */
+  getCommandContext(command) {
+    // math-insert only works inside a math inset
+    if (command.startsWith('math-insert ')) {
+      return 'math';
+    }
+    // self-insert of a macro such as \alpha only makes sense as math
+    if (/^self-insert\s+\\[a-zA-Z]+$/.test(command)) {
+      return 'math';
+    }
+    return 'any';
   }
 
   /**
@@ -238,82 +748,101 @@ class LyXConfigParser {
    * @returns {Object|null} - Action object or null if not supported
    */
   convertCommand(command) {
+    // Handle composite commands: run all (sequence) or the first that applies (alternatives)
+    if (command.startsWith('command-sequence ')) {
+      return this.convertComposite('sequence', command.substring('command-sequence '.length));
+    }
+    if (command.startsWith('command-alternatives ')) {
+      return this.convertComposite('alternatives', command.substring('command-alternatives '.length));
+    }
+
     // Handle math-insert commands specially
     if (command.startsWith('math-insert ')) {
       const mathContent = command.substring('math-insert '.length);
       return { type: 'insert', text: mathContent };
     }
+
+    // self-insert types its argument as if it had been entered from the keyboard
+    if (command.startsWith('self-insert ')) {
+      return { type: 'insert', text: command.substring('self-insert '.length) };
+    }
     
-    const commandMappings = {
-      // Text formatting
-      'font-bold': { type: 'wrap', before: '**', after: '**' },
-      'font-emph': { type: 'wrap', before: '*', after: '*' },
-      'font-underline': { type: 'wrap', before: '_', after: '_' },
-      'font-typewriter': { type: 'wrap', before: '`', after: '`' },
-      'font-strikeout': { type: 'wrap', before: '~~', after: '~~' },
-      
-      // Math mode
-      'math-mode': { type: 'wrap', before: '$', after: '$' },
-      'math-display': { type: 'wrap', before: '$$\n', after: '\n$$' },
-      
-      // Text insertion
-      'quote-insert inner': { type: 'insert', text: '"' },
-      'quote-insert outer auto plain': { type: 'insert', text: '\'' },
-      'specialchar-insert hyphenation': { type: 'insert', text: '\u00AD' },
-      'specialchar-insert nobreakdash': { type: 'insert', text: '\u2011' },
-      'specialchar-insert ligature-break': { type: 'insert', text: '\u200C' },
-      'specialchar-insert slash': { type: 'insert', text: '/' },
-      'specialchar-insert end-of-sentence': { type: 'insert', text: '. ' },
-      'specialchar-insert dots': { type: 'insert', text: '…' },
-      'space-insert protected': { type: 'insert', text: '\u00A0' },
-      'space-insert normal': { type: 'insert', text: ' ' },
-      'space-insert thin': { type: 'insert', text: '\u2009' },
-      
-      // LaTeX specific
-      'ert-insert': { type: 'wrap', before: '\\', after: '' },
-      'paragraph-break': { type: 'insert', text: '\n\n' },
-      'paragraph-break inverse': { type: 'insert', text: '\n' },
-      'newline-insert newline': { type: 'insert', text: '\n' },
-      'newline-insert linebreak': { type: 'insert', text: '\\\\\n' },
-      
-      // Navigation and selection (these would need special handling)
-      'char-forward': { type: 'navigation', action: 'moveRight' },
-      'char-backward': { type: 'navigation', action: 'moveLeft' },
-      'word-right': { type: 'navigation', action: 'moveWordRight' },
-      'word-left': { type: 'navigation', action: 'moveWordLeft' },
-      'line-begin': { type: 'navigation', action: 'moveLineStart' },
-      'line-end': { type: 'navigation', action: 'moveLineEnd' },
-      'buffer-begin': { type: 'navigation', action: 'moveDocumentStart' },
-      'buffer-end': { type: 'navigation', action: 'moveDocumentEnd' },
-      
-      // Selection variants
-      'char-right-select': { type: 'selection', action: 'selectRight' },
-      'char-left-select': { type: 'selection', action: 'selectLeft' },
-      'word-right-select': { type: 'selection', action: 'selectWordRight' },
-      'word-left-select': { type: 'selection', action: 'selectWordLeft' },
-      'line-begin-select': { type: 'selection', action: 'selectLineStart' },
-      'line-end-select': { type: 'selection', action: 'selectLineEnd' },
-      'buffer-begin-select': { type: 'selection', action: 'selectDocumentStart' },
-      'buffer-end-select': { type: 'selection', action: 'selectDocumentEnd' },
-      
-      // Deletion
-      'char-delete-forward': { type: 'delete', action: 'deleteRight' },
-      'char-delete-backward': { type: 'delete', action: 'deleteLeft' },
-      'word-delete-forward': { type: 'delete', action: 'deleteWordRight' },
-      'word-delete-backward': { type: 'delete', action: 'deleteWordLeft' },
-      'line-delete-forward': { type: 'delete', action: 'deleteLineForward' },
-      
-      // Clipboard
-      'copy': { type: 'clipboard', action: 'copy' },
-      'paste': { type: 'clipboard', action: 'paste' },
-      'cut': { type: 'clipboard', action: 'cut' },
-      
-      // Undo/Redo
-      'undo': { type: 'edit', action: 'undo' },
-      'redo': { type: 'edit', action: 'redo' }
-    };
+    return LyXConfigParser.COMMAND_MAPPINGS[command] || null;
+  }
+
+  /**
+   * List the commands convertCommand() understands, for the keymap editor
+   * @returns {Array<{command: string, hint: string}>} - Commands; those taking an
+   *   argument end with a space and describe it in the hint
+   */
+  static listCommands() {
+    return [
+      ...Object.keys(LyXConfigParser.COMMAND_MAPPINGS).map(command => ({ command, hint: '' })),
+      ...Object.entries(LyXConfigParser.ARGUMENT_COMMANDS).map(([command, hint]) => ({ command: `${command} `, hint }))
+    ];
+  }
+
+  /**
+   * Find the LyX command that produces an action; the inverse of convertBinding()
+   * @param {Object} action - Action object, with or without a context
+   * @returns {string|null} - LyX command, or null if LyX has no command for the action
+   */
+  actionToCommand(action) {
+    const { context, ...plain } = action;
+
+    if (plain.type === 'sequence' || plain.type === 'alternatives') {
+      const commands = plain.actions.map(part => this.actionToCommand(part));
+      if (commands.includes(null)) {
+        return null;
+      }
+      return `command-${plain.type} ${commands.join('; ')}`;
+    }
+
+    const serialized = JSON.stringify(plain);
+    const command = Object.keys(LyXConfigParser.COMMAND_MAPPINGS)
+      .find(name => JSON.stringify(LyXConfigParser.COMMAND_MAPPINGS[name]) === serialized);
+    if (command) {
+      return command;
+    }
 
-    return commandMappings[command] || null;
+    if (plain.type === 'insert') {
+      // LaTeX macros only make sense in math; anything else is typed as is
+      return context === 'math' || /^\\[a-zA-Z]+/.test(plain.text)
+        ? `math-insert ${plain.text}`
+        : `self-insert ${plain.text}`;
+    }
+    return null;
+  }
+
+  /**
+   * Convert the ;-separated argument of command-sequence or command-alternatives
+   * @param {string} type - 'sequence' or 'alternatives'
+   * @param {string} argument - The list of LyX commands
+   * @returns {Object|null} - Composite action or null if not supported
+   */
+  convertComposite(type, argument) {
+    // LyX splits the argument on every ';', so we do the same
+    const commands = argument.split(';').map(part => part.trim()).filter(Boolean);
+    const actions = commands.map(command => this.convertCommand(command));
+
+    if (type === 'sequence') {
+      // Running only part of a sequence would leave the text in a state the
+      // binding never intended, so the whole sequence needs to be supported
+      if (actions.length === 0 || actions.includes(null)) {
+        return null;
+      }
+      return { type: 'sequence', actions };
+    }
+
+    // Alternatives that can never apply in a browser are simply skipped
+    const supported = actions.filter(Boolean);
+    if (supported.length === 0) {
+      return null;
+    }
+    if (supported.length === 1) {
+      return supported[0];
+    }
+    return { type: 'alternatives', actions: supported };
   }
 
   /**
@@ -337,6 +866,134 @@ class LyXConfigParser {
   }
 }
 
+// Highest bind file format (LyX's LFUN_FORMAT) whose commands we understand
+LyXConfigParser.LFUN_FORMAT = 5;
+
+// LyX commands without arguments and the actions they become
+LyXConfigParser.COMMAND_MAPPINGS = {
+  // Text formatting (rendered by the active output dialect, see dialects.js)
+  'font-bold': { type: 'format', command: 'font-bold' },
+  'font-emph': { type: 'format', command: 'font-emph' },
+  'font-underline': { type: 'format', command: 'font-underline' },
+  'font-typewriter': { type: 'format', command: 'font-typewriter' },
+  'font-strikeout': { type: 'format', command: 'font-strikeout' },
+
+  // Math mode
+  'math-mode': { type: 'format', command: 'math-mode' },
+  'math-display': { type: 'format', command: 'math-display' },
+
+  // Text insertion (rendered by the active output dialect)
+  'quote-insert inner': { type: 'format', command: 'quote-insert inner' },
+  'quote-insert outer auto plain': { type: 'format', command: 'quote-insert outer auto plain' },
+  'specialchar-insert hyphenation': { type: 'format', command: 'specialchar-insert hyphenation' },
+  'specialchar-insert nobreakdash': { type: 'format', command: 'specialchar-insert nobreakdash' },
+  'specialchar-insert ligature-break': { type: 'format', command: 'specialchar-insert ligature-break' },
+  'specialchar-insert slash': { type: 'format', command: 'specialchar-insert slash' },
+  'specialchar-insert end-of-sentence': { type: 'format', command: 'specialchar-insert end-of-sentence' },
+  'specialchar-insert dots': { type: 'format', command: 'specialchar-insert dots' },
+  'space-insert protected': { type: 'format', command: 'space-insert protected' },
+  'space-insert normal': { type: 'format', command: 'space-insert normal' },
+  'space-insert thin': { type: 'format', command: 'space-insert thin' },
+
+  // LaTeX specific
+  'ert-insert': { type: 'format', command: 'ert-insert' },
+  'paragraph-break': { type: 'format', command: 'paragraph-break' },
+  'paragraph-break inverse': { type: 'format', command: 'paragraph-break inverse' },
+  'newline-insert newline': { type: 'format', command: 'newline-insert newline' },
+  'newline-insert linebreak': { type: 'format', command: 'newline-insert linebreak' },
+
+  // Navigation
+  'char-forward': { type: 'navigation', action: 'moveRight' },
+  'char-backward': { type: 'navigation', action: 'moveLeft' },
+  'word-right': { type: 'navigation', action: 'moveWordRight' },
+  'word-left': { type: 'navigation', action: 'moveWordLeft' },
+  'line-begin': { type: 'navigation', action: 'moveLineStart' },
+  'line-end': { type: 'navigation', action: 'moveLineEnd' },
+  'buffer-begin': { type: 'navigation', action: 'moveDocumentStart' },
+  'buffer-end': { type: 'navigation', action: 'moveDocumentEnd' },
+  'up': { type: 'navigation', action: 'moveUp' },
+  'down': { type: 'navigation', action: 'moveDown' },
+  'paragraph-up': { type: 'navigation', action: 'moveParagraphUp' },
+  'paragraph-down': { type: 'navigation', action: 'moveParagraphDown' },
+
+  // Selection variants
+  'char-right-select': { type: 'selection', action: 'selectRight' },
+  'char-left-select': { type: 'selection', action: 'selectLeft' },
+  'word-right-select': { type: 'selection', action: 'selectWordRight' },
+  'word-left-select': { type: 'selection', action: 'selectWordLeft' },
+  'line-begin-select': { type: 'selection', action: 'selectLineStart' },
+  'line-end-select': { type: 'selection', action: 'selectLineEnd' },
+  'buffer-begin-select': { type: 'selection', action: 'selectDocumentStart' },
+  'buffer-end-select': { type: 'selection', action: 'selectDocumentEnd' },
+  'up-select': { type: 'selection', action: 'selectUp' },
+  'down-select': { type: 'selection', action: 'selectDown' },
+  'paragraph-up-select': { type: 'selection', action: 'selectParagraphUp' },
+  'paragraph-down-select': { type: 'selection', action: 'selectParagraphDown' },
+
+  // Deletion
+  'char-delete-forward': { type: 'delete', action: 'deleteRight' },
+  'char-delete-backward': { type: 'delete', action: 'deleteLeft' },
+  'word-delete-forward': { type: 'delete', action: 'deleteWordRight' },
+  'word-delete-backward': { type: 'delete', action: 'deleteWordLeft' },
+  'line-delete-forward': { type: 'delete', action: 'deleteLineForward' },
+
+  // Clipboard
+  'copy': { type: 'clipboard', action: 'copy' },
+  'paste': { type: 'clipboard', action: 'paste' },
+  'cut': { type: 'clipboard', action: 'cut' },
+
+  // Undo/Redo
+  'undo': { type: 'edit', action: 'undo' },
+  'redo': { type: 'edit', action: 'redo' }
+};
+
+// Commands that take an argument, as offered by the keymap editor
+LyXConfigParser.ARGUMENT_COMMANDS = {
+  'math-insert': 'LaTeX to insert in math, e.g. \\alpha',
+  'self-insert': 'Text to type',
+  'command-sequence': 'Commands separated by ;',
+  'command-alternatives': 'Commands separated by ;, the first that applies runs'
+};
+
+// Statements a bind file may contain
+LyXConfigParser.TAGS = ['\\bind', '\\unbind', '\\bind_file', 'Format'];
+
+// Modifier spellings people try, and the LyX letter they mean
+LyXConfigParser.MODIFIER_ALIASES = {
+  ctrl: 'C', control: 'C', c: 'C', shift: 'S', s: 'S',
+  alt: 'A', option: 'A', opt: 'A', a: 'A',
+  meta: 'M', cmd: 'M', command: 'M', m: 'M'
+};
+
+// Shortcuts that browsers or operating systems keep for themselves, by
+// normalized chord; pages cannot intercept most of them
+LyXConfigParser.RESERVED_SHORTCUTS = {
+  all: {
+    'ctrl+tab': 'Next tab', 'ctrl+shift+tab': 'Previous tab',
+    'ctrl+next': 'Next tab', 'ctrl+prior': 'Previous tab'
+  },
+  mac: {
+    'meta+n': 'New window', 'meta+shift+n': 'New incognito window',
+    'meta+t': 'New tab', 'meta+shift+t': 'Reopen closed tab',
+    'meta+w': 'Close tab', 'meta+shift+w': 'Close window',
+    'meta+q': 'Quit', 'meta+h': 'Hide application', 'meta+m': 'Minimize window',
+    'meta+tab': 'Switch application', 'meta+grave': 'Switch window',
+    'meta+space': 'Spotlight', 'ctrl+space': 'Switch input source',
+    'ctrl+up': 'Mission Control', 'ctrl+down': 'Application windows',
+    'ctrl+left': 'Previous space', 'ctrl+right': 'Next space'
+  },
+  other: {
+    'ctrl+n': 'New window', 'ctrl+shift+n': 'New incognito window',
+    'ctrl+t': 'New tab', 'ctrl+shift+t': 'Reopen closed tab',
+    'ctrl+w': 'Close tab', 'ctrl+shift+w': 'Close window',
+    'alt+f4': 'Close window', 'ctrl+shift+q': 'Quit',
+    'meta+l': 'Lock screen', 'meta+d': 'Show desktop', 'meta+e': 'File manager'
+  }
+};
+
+// Bind files shipped with the extension that \bind_file can always resolve
+LyXConfigParser.BUNDLED_BIND_FILES = ['mac.bind', 'sample-config.bind'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LyXConfigParser;
@@ -3,6 +3,8 @@
  * Handles configuration management and file operations
  */
 
+const log = new LyXLogger('options');
+
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   const uploadArea = document.getElementById('uploadArea');
@@ -15,11 +17,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const browseButton = document.getElementById('browseButton');
   const loadSampleButton = document.getElementById('loadSampleButton');
   const exportButton = document.getElementById('exportButton');
+  const jsonFileInput = document.getElementById('jsonFileInput');
   const saveButton = document.getElementById('saveButton');
   const resetButton = document.getElementById('resetButton');
   const clearButton = document.getElementById('clearButton');
+  const includeFileInput = document.getElementById('includeFileInput');
+  const includeFileList = document.getElementById('includeFileList');
+  const addIncludeButton = document.getElementById('addIncludeButton');
+  const bundledFileNames = document.getElementById('bundledFileNames');
 
   let currentMappings = new Map();
+  let includeFiles = {}; // Uploaded files available to \bind_file
 
   // Show/hide Mac note based on platform
   const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
@@ -33,7 +41,7 @@ document.addEventListener('DOMContentLoaded', () => {
     macMappingRadios.forEach(radio => {
       radio.addEventListener('change', async () => {
         if (radio.checked) {
-          saveMacKeyPreference(radio.value);
+          await saveMacKeyPreference(radio.value);
           // Reparse current config with new preference
           if (currentMappings.size > 0) {
             await reparseWithMacPreference();
@@ -49,6 +57,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Handle sequence timeout slider
   const sequenceTimeoutSlider = document.getElementById('sequenceTimeout');
   const timeoutValueDisplay = document.getElementById('timeoutValue');
+  const waitIndefinitelyCheckbox = document.getElementById('waitIndefinitely');
   
   if (sequenceTimeoutSlider && timeoutValueDisplay) {
     sequenceTimeoutSlider.addEventListener('input', (e) => {
@@ -57,12 +66,165 @@ document.addEventListener('DOMContentLoaded', () => {
       saveSequenceTimeout(parseInt(value));
     });
     
+    // A timeout of 0 means a prefix waits until the next key or Escape
+    waitIndefinitelyCheckbox.addEventListener('change', () => {
+      const waitIndefinitely = waitIndefinitelyCheckbox.checked;
+      sequenceTimeoutSlider.disabled = waitIndefinitely;
+      timeoutValueDisplay.textContent = waitIndefinitely ? 'No limit' : `${sequenceTimeoutSlider.value}ms`;
+      saveSequenceTimeout(waitIndefinitely ? 0 : parseInt(sequenceTimeoutSlider.value));
+    });
+    
     // Load saved timeout value
     loadSequenceTimeout();
   }
 
-  // Load current configuration on page load
-  loadCurrentConfig();
+  // Handle the policy for bindings that are also prefixes of longer ones
+  const prefixPolicySelect = document.getElementById('prefixPolicy');
+  for (const [id, name] of Object.entries(LyXKeymapTrie.PREFIX_POLICIES)) {
+    prefixPolicySelect.add(new Option(name, id));
+  }
+  prefixPolicySelect.addEventListener('change', async () => {
+    await saveSettings({ prefixPolicy: prefixPolicySelect.value });
+    await displayHotkeyList();
+  });
+  LyXSettings.load().then(settings => {
+    prefixPolicySelect.value = settings.prefixPolicy;
+  });
+
+  // Handle the sequence overlay and console logging
+  const showOverlayCheckbox = document.getElementById('showOverlay');
+  const logLevelSelect = document.getElementById('logLevel');
+  for (const level of LyXSettings.CHOICES.logLevel) {
+    logLevelSelect.add(new Option(level.charAt(0).toUpperCase() + level.slice(1), level));
+  }
+  showOverlayCheckbox.addEventListener('change', () => saveSettings({ showOverlay: showOverlayCheckbox.checked }));
+  logLevelSelect.addEventListener('change', () => saveSettings({ logLevel: logLevelSelect.value }));
+  LyXSettings.load().then(settings => {
+    LyXLogger.configure(settings);
+    showOverlayCheckbox.checked = settings.showOverlay;
+    logLevelSelect.value = settings.logLevel;
+  });
+
+  // Handle math context scoping preference
+  const scopeMathCheckbox = document.getElementById('scopeMathBindings');
+  scopeMathCheckbox.addEventListener('change', async () => {
+    await saveSettings({ scopeMathBindings: scopeMathCheckbox.checked });
+    if (configTextarea.value.trim()) {
+      await parseAndDisplayConfig(configTextarea.value);
+    }
+  });
+  LyXSettings.load().then(settings => {
+    scopeMathCheckbox.checked = settings.scopeMathBindings;
+  });
+
+  // Handle keyboard layout and key matching mode
+  const keyboardLayoutSelect = document.getElementById('keyboardLayout');
+  const matchModeSelect = document.getElementById('matchMode');
+
+  for (const { id, name } of LyXKeyboardLayouts.list()) {
+    keyboardLayoutSelect.add(new Option(name, id));
+  }
+  for (const [id, name] of Object.entries(LyXKeyboardLayouts.MATCH_MODES)) {
+    matchModeSelect.add(new Option(name, id));
+  }
+  keyboardLayoutSelect.addEventListener('change', async () => {
+    await saveSettings({ keyboardLayout: keyboardLayoutSelect.value });
+    await displayHotkeyList();
+  });
+  matchModeSelect.addEventListener('change', async () => {
+    await saveSettings({ matchMode: matchModeSelect.value });
+    await displayHotkeyList();
+  });
+  LyXSettings.load().then(settings => {
+    keyboardLayoutSelect.value = settings.keyboardLayout;
+    matchModeSelect.value = settings.matchMode;
+    return displayHotkeyList();
+  });
+
+  // Handle output dialect selection
+  const dialectSelect = document.getElementById('dialectSelect');
+  const siteDialectSelect = document.getElementById('siteDialectSelect');
+  const siteDialectHost = document.getElementById('siteDialectHost');
+  const siteDialectList = document.getElementById('siteDialectList');
+  const dialectPreview = document.getElementById('dialectPreview');
+  let siteDialects = {};
+
+  for (const { id, name } of LyXDialects.list()) {
+    dialectSelect.add(new Option(name, id));
+    siteDialectSelect.add(new Option(name, id));
+  }
+  dialectSelect.addEventListener('change', async () => {
+    await saveDialectSettings();
+    displayDialectPreview();
+    await displayHotkeyList();
+  });
+  document.getElementById('addSiteDialectButton').addEventListener('click', addSiteDialect);
+  loadDialectSettings();
+
+  // Handle site profiles, their URL rules and the deny list
+  const profileList = document.getElementById('profileList');
+  const profileNameInput = document.getElementById('profileNameInput');
+  const profileRuleList = document.getElementById('profileRuleList');
+  const profileRulePattern = document.getElementById('profileRulePattern');
+  const profileRuleSelect = document.getElementById('profileRuleSelect');
+  const denyListElement = document.getElementById('denyList');
+  const denyPattern = document.getElementById('denyPattern');
+  let profiles = {};
+  let profileRules = [];
+  let denyList = [];
+
+  document.getElementById('saveProfileButton').addEventListener('click', saveCurrentAsProfile);
+  document.getElementById('addProfileRuleButton').addEventListener('click', addProfileRule);
+  document.getElementById('addDenyButton').addEventListener('click', addDenyPattern);
+  loadProfiles();
+
+  // Handle cross-device sync
+  const syncEnabledCheckbox = document.getElementById('syncEnabled');
+  const syncStatusElement = document.getElementById('syncStatus');
+  syncEnabledCheckbox.addEventListener('change', async () => {
+    await chrome.storage.local.set({ syncEnabled: syncEnabledCheckbox.checked });
+  });
+  document.getElementById('syncNowButton').addEventListener('click', syncNow);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.syncStatus) {
+      displaySyncStatus(changes.syncStatus.newValue);
+    }
+    if (area === 'local' && LyXSettings.changedKeys(changes).length > 0) {
+      LyXSettings.load().then(settings => LyXLogger.configure(settings));
+    }
+  });
+  chrome.storage.local.get(['syncEnabled', 'syncStatus']).then(result => {
+    syncEnabledCheckbox.checked = !!result.syncEnabled;
+    displaySyncStatus(result.syncStatus);
+  });
+
+  // Keymap editor: each edit rewrites one \bind line of the configuration text and saves it
+  const diagnosticsList = document.getElementById('diagnosticsList');
+  const configHighlights = document.getElementById('configHighlights');
+  let checkConfigTimer = null;
+  const bindingTable = document.getElementById('bindingTable');
+  const newBindingKey = document.getElementById('newBindingKey');
+  const newBindingCommand = document.getElementById('newBindingCommand');
+  const commandList = document.getElementById('lyxCommands');
+
+  for (const { command, hint } of LyXConfigParser.listCommands()) {
+    commandList.appendChild(new Option(hint, command));
+  }
+  configTextarea.addEventListener('input', () => {
+    displayBindingTable();
+    // Check the text as it is typed, before it is saved
+    clearTimeout(checkConfigTimer);
+    checkConfigTimer = setTimeout(checkConfigText, 300);
+  });
+  configTextarea.addEventListener('scroll', () => {
+    configHighlights.scrollTop = configTextarea.scrollTop;
+  });
+  document.getElementById('recordKeyButton').addEventListener('click', (e) => recordKeys(e.currentTarget, newBindingKey));
+  document.getElementById('addBindingButton').addEventListener('click', addBinding);
+
+  // Load included bind files and the current configuration on page load
+  bundledFileNames.textContent = LyXConfigParser.BUNDLED_BIND_FILES.join(', ');
+  loadIncludeFiles().then(loadCurrentConfig);
 
   // File upload event listeners
   uploadArea.addEventListener('click', () => fileInput.click());
@@ -71,11 +233,17 @@ document.addEventListener('DOMContentLoaded', () => {
   uploadArea.addEventListener('drop', handleDrop);
   
   fileInput.addEventListener('change', handleFileSelect);
+  includeFileInput.addEventListener('change', handleIncludeFileSelect);
+  addIncludeButton.addEventListener('click', () => includeFileInput.click());
   
   // Button event listeners
   browseButton.addEventListener('click', () => fileInput.click());
   loadSampleButton.addEventListener('click', loadSampleConfig);
   exportButton.addEventListener('click', exportCurrentConfig);
+  document.getElementById('exportKeymapButton').addEventListener('click', exportEffectiveKeymap);
+  document.getElementById('exportJsonButton').addEventListener('click', exportKeymapJson);
+  document.getElementById('importJsonButton').addEventListener('click', () => jsonFileInput.click());
+  jsonFileInput.addEventListener('change', handleJsonFileSelect);
   saveButton.addEventListener('click', saveConfiguration);
   resetButton.addEventListener('click', resetToDefaults);
   clearButton.addEventListener('click', clearAllConfig);
@@ -127,6 +295,94 @@ document.addEventListener('DOMContentLoaded', () => {
     reader.readAsText(file);
   }
 
+  async function handleIncludeFileSelect(e) {
+    const files = Array.from(e.target.files).filter(file => file.name.endsWith('.bind'));
+    if (files.length === 0) {
+      showStatus('Please select .bind files to include', 'error');
+      return;
+    }
+
+    try {
+      for (const file of files) {
+        includeFiles[file.name] = await file.text();
+      }
+      await chrome.storage.local.set({ bindFiles: includeFiles });
+      displayIncludeFiles();
+      showStatus(`Added include files: ${files.map(file => file.name).join(', ')}`, 'success');
+
+      if (configTextarea.value.trim()) {
+        await parseAndDisplayConfig(configTextarea.value);
+      }
+    } catch (error) {
+      showStatus('Error reading include files: ' + error.message, 'error');
+    } finally {
+      includeFileInput.value = '';
+    }
+  }
+
+  async function loadIncludeFiles() {
+    try {
+      const result = await chrome.storage.local.get(['bindFiles']);
+      includeFiles = result.bindFiles || {};
+    } catch (error) {
+      log.warn('Could not load include files:', error);
+      includeFiles = {};
+    }
+    displayIncludeFiles();
+  }
+
+  function displayIncludeFiles() {
+    includeFileList.innerHTML = '';
+
+    for (const name of Object.keys(includeFiles).sort()) {
+      const item = document.createElement('div');
+      item.className = 'include-file-item';
+
+      const label = document.createElement('span');
+      label.textContent = name;
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', async () => {
+        delete includeFiles[name];
+        await chrome.storage.local.set({ bindFiles: includeFiles });
+        displayIncludeFiles();
+        if (configTextarea.value.trim()) {
+          await parseAndDisplayConfig(configTextarea.value);
+        }
+      });
+
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      includeFileList.appendChild(item);
+    }
+  }
+
+  /**
+   * Collect every file \bind_file can resolve: the bundled bind files plus
+   * the uploaded ones, which take precedence like files in ~/.lyx/bind do
+   */
+  async function getBindFiles() {
+    const files = {};
+    for (const name of LyXConfigParser.BUNDLED_BIND_FILES) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(name));
+        files[name] = await response.text();
+      } catch (error) {
+        log.warn(`Could not load bundled bind file ${name}:`, error);
+      }
+    }
+    return { ...files, ...includeFiles };
+  }
+
+  function reportMissingFiles(parser) {
+    if (parser.missingFiles.length > 0) {
+      showStatus(`Missing included files: ${parser.missingFiles.join(', ')}. Add them under "Included Bind Files".`, 'error');
+      return true;
+    }
+    return false;
+  }
+
   async function loadSampleConfig() {
     const sampleConfig = `# Sample LyX Hotkey Configuration
 # Text formatting
@@ -183,47 +439,53 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Build the parser options from the current preferences
+   * @returns {Promise<Object>} - Options for LyXConfigParser.parse()
+   */
+  async function getParseOptions() {
+    // Get current Mac preference
+    let macMMapping = 'ctrl'; // default
+    
+    if (isMac) {
+      try {
+        const result = await chrome.storage.local.get(['macMMapping']);
+        macMMapping = result.macMMapping || 'ctrl';
+      } catch (error) {
+        log.warn('Could not load Mac preference, using default:', error);
+      }
+    }
+    
+    log.debug(`🔧 Parsing config with Mac preference: ${macMMapping}`);
+    log.debug(`🔧 Platform detected as Mac: ${isMac}`);
+    return {
+      mapMetaToCtrl: macMMapping === 'ctrl',
+      scopeMathBindings: scopeMathCheckbox.checked,
+      files: await getBindFiles()
+    };
+  }
+
+  /**
+   * Parse configuration text and show its mappings and diagnostics
+   * @param {string} configText - .bind text
+   * @returns {Promise<boolean>} - False if parsing failed; currentMappings is then unchanged
+   */
   async function parseAndDisplayConfig(configText) {
     try {
       const parser = new LyXConfigParser();
-      
-      // Get current Mac preference
-      const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
-      let macMMapping = 'ctrl'; // default
-      
-      if (isMac) {
-        try {
-          const result = await chrome.storage.local.get(['macMMapping']);
-          macMMapping = result.macMMapping || 'ctrl';
-        } catch (error) {
-          console.warn('Could not load Mac preference, using default:', error);
-        }
-      }
-      
-      // Parse with Mac preference options
-      const options = {
-        mapMetaToCtrl: macMMapping === 'ctrl'
-      };
-      
-      console.log(`🔧 Parsing config with Mac preference: ${macMMapping}`, options);
-      console.log(`🔧 Platform detected as Mac: ${isMac}`);
-      const mappings = parser.parse(configText, options);
-      
-      // Debug: Log some key mappings to see what we got
-      console.log(`🔍 Sample mappings generated:`);
-      let count = 0;
-      for (const [key, action] of mappings) {
-        if (count < 5) {
-          console.log(`  "${key}" → ${action.type}: ${action.action || action.text || 'unknown'}`);
-          count++;
-        }
-      }
+      const mappings = parser.parse(configText, await getParseOptions());
       
       currentMappings = mappings;
       await displayHotkeyList();
-      showStatus(`Parsed ${mappings.size} hotkey mappings`, 'success');
+      displayBindingTable();
+      displayDiagnostics(parser.diagnostics);
+      if (!reportMissingFiles(parser)) {
+        showStatus(`Parsed ${mappings.size} hotkey mappings`, 'success');
+      }
+      return true;
     } catch (error) {
       showStatus('Error parsing configuration: ' + error.message, 'error');
+      return false;
     }
   }
 
@@ -241,104 +503,343 @@ document.addEventListener('DOMContentLoaded', () => {
         const result = await chrome.storage.local.get(['macMMapping']);
         macMMapping = result.macMMapping || 'ctrl';
       } catch (error) {
-        console.warn('Could not load Mac preference for display, using default:', error);
+        log.warn('Could not load Mac preference for display, using default:', error);
       }
     }
     
+    const layoutId = keyboardLayoutSelect.value || LyXKeyboardLayouts.DEFAULT;
+    const matchMode = matchModeSelect.value || LyXKeyboardLayouts.DEFAULT_MATCH_MODE;
+    const layoutName = LyXKeyboardLayouts.LAYOUTS[layoutId].name;
+    let unreachableCount = 0;
+
+    // Bindings that are also a prefix of longer bindings
+    const overlaps = new Map(new LyXKeymapTrie(Object.fromEntries(currentMappings)).overlaps()
+      .map(({ key, longer }) => [key, longer]));
+    const prefixPolicy = prefixPolicySelect.value || LyXKeymapTrie.DEFAULT_PREFIX_POLICY;
+
     let html = '';
     for (const [key, action] of currentMappings) {
-      console.log(`🎯 Mapping key: "${key}" → action:`, action);
-      console.log(`🔧 Mac mapping preference for display: ${macMMapping}`);
       const displayKey = formatKeyForDisplay(key, isMac, macMMapping);
-      console.log(`🎨 Display key: "${key}" → "${displayKey}"`);
       
       // Check if this is a sequence (contains space)
       const isSequence = key.includes(' ');
       const sequenceClass = isSequence ? ' sequence' : '';
       
+      // Flag bindings that cannot be typed on the selected layout
+      const reachable = LyXKeyboardLayouts.isSequenceReachable(key, layoutId, matchMode);
+      const reachableClass = reachable ? '' : ' unreachable';
+      if (!reachable) {
+        unreachableCount++;
+      }
+
+      const longer = overlaps.get(key);
+      const overlapClass = longer ? ' overlap' : '';
+      const overlapNote = longer
+        ? ` <em>(also starts ${longer.map(other => formatKeyForDisplay(other, isMac, macMMapping)).join(', ')})</em>`
+        : '';
+      
       html += `
-        <div class="hotkey-item${sequenceClass}">
+        <div class="hotkey-item${sequenceClass}${reachableClass}${overlapClass}">
           <span class="hotkey-key">${displayKey}</span>
-          <span class="hotkey-action">${getActionDescription(action)}</span>
+          <span class="hotkey-action">${getActionDescription(action)}${action.context && action.context !== 'any' ? ` <em>(${action.context} only)</em>` : ''}${reachable ? '' : ` <em>(not reachable on ${layoutName})</em>`}${overlapNote}</span>
         </div>
       `;
     }
     
+    if (unreachableCount > 0) {
+      html = `
+        <div class="status-message status-info unreachable-summary">
+          ${unreachableCount} binding${unreachableCount === 1 ? '' : 's'} cannot be typed on ${layoutName}
+          when matching ${matchMode === 'physical' ? 'physical keys' : 'characters'}.
+        </div>
+      ` + html;
+    }
+    
+    if (overlaps.size > 0) {
+      const outcome = {
+        immediate: 'they run at once and the longer bindings cannot be reached',
+        timeout: 'they run when no further key follows within the sequence timeout',
+        strict: 'they never run; only the longer bindings do'
+      }[prefixPolicy];
+      html = `
+        <div class="status-message status-info overlap-summary">
+          ${overlaps.size} binding${overlaps.size === 1 ? ' is' : 's are'} also the start of longer sequences;
+          with the current policy ${outcome}.
+        </div>
+      ` + html;
+    }
+    
     hotkeyList.innerHTML = html;
   }
 
-  function formatKeyForDisplay(key, isMac, macMMapping) {
-    if (!isMac) return key;
-    
-    console.log(`🎨 formatKeyForDisplay: key="${key}", isMac=${isMac}, macMMapping=${macMMapping}`);
-    
-    // Check if this is a sequence (contains space)
-    const isSequence = key.includes(' ');
-    
-    if (isSequence) {
-      // Handle sequences - format each part separately and join with arrows
-      const parts = key.split(' ');
-      const formattedParts = parts.map(part => formatSingleKey(part, isMac, macMMapping));
-      return formattedParts.join(' → ');
-    } else {
-      // Handle single key combination
-      return formatSingleKey(key, isMac, macMMapping);
+  function displayBindingTable() {
+    const parser = new LyXConfigParser();
+    bindingTable.replaceChildren();
+
+    for (const binding of LyXBindText.readBindings(configTextarea.value)) {
+      const row = document.createElement('tr');
+      row.classList.toggle('disabled', binding.disabled);
+
+      const enabledInput = document.createElement('input');
+      enabledInput.type = 'checkbox';
+      enabledInput.checked = !binding.disabled;
+      enabledInput.title = 'Enabled';
+
+      const keyInput = document.createElement('input');
+      keyInput.type = 'text';
+      keyInput.value = binding.key;
+
+      const recordButton = document.createElement('button');
+      recordButton.className = 'record-button';
+      recordButton.textContent = '⏺';
+      recordButton.title = 'Record a key';
+
+      const commandInput = document.createElement('input');
+      commandInput.type = 'text';
+      commandInput.value = binding.command;
+      commandInput.setAttribute('list', 'lyxCommands');
+
+      const action = parser.convertCommand(binding.command);
+      const actionCell = document.createElement('td');
+      actionCell.className = `binding-action${action ? '' : ' unsupported'}`;
+      actionCell.textContent = action ? getActionDescription(action) : 'Not supported in the browser';
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'remove';
+      removeButton.textContent = 'Delete';
+
+      const update = () => updateBinding(binding.line, keyInput.value, commandInput.value, !enabledInput.checked);
+      enabledInput.addEventListener('change', update);
+      keyInput.addEventListener('change', update);
+      commandInput.addEventListener('change', update);
+      recordButton.addEventListener('click', () => recordKeys(recordButton, keyInput, update));
+      removeButton.addEventListener('click', () => applyBindText(LyXBindText.setLine(configTextarea.value, binding.line, null)));
+
+      const cells = [enabledInput, keyInput, recordButton, commandInput].map(control => {
+        const cell = document.createElement('td');
+        cell.appendChild(control);
+        return cell;
+      });
+      const removeCell = document.createElement('td');
+      removeCell.appendChild(removeButton);
+
+      row.append(...cells, actionCell, removeCell);
+      bindingTable.appendChild(row);
+    }
+  }
+
+  /**
+   * Parse the configuration text only to report its problems, leaving the
+   * displayed and stored keymap alone until it is saved
+   */
+  async function checkConfigText() {
+    const parser = new LyXConfigParser();
+    parser.parse(configTextarea.value, await getParseOptions());
+    displayDiagnostics(parser.diagnostics);
+  }
+
+  /**
+   * List the parser's findings (syntax errors, unknown keys, duplicates,
+   * overrides, unsupported commands, Mac promotions, reserved shortcuts)
+   * under the configuration text, and mark their lines in the textarea.
+   * Lines of the text itself link to the line in the textarea
+   * @param {Array<Object>} diagnostics - Diagnostics from LyXConfigParser
+   */
+  function displayDiagnostics(diagnostics) {
+    diagnosticsList.replaceChildren();
+    highlightConfigLines(diagnostics.filter(diagnostic => !diagnostic.file));
+
+    const sorted = [...diagnostics].sort((a, b) =>
+      (a.file || '').localeCompare(b.file || '') || a.line - b.line);
+    for (const diagnostic of sorted) {
+      const item = document.createElement('div');
+      item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+
+      const location = document.createElement(diagnostic.file ? 'span' : 'a');
+      location.className = 'diagnostic-location';
+      location.textContent = diagnostic.file
+        ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`
+        : `Line ${diagnostic.line}:${diagnostic.column}`;
+      if (!diagnostic.file) {
+        location.addEventListener('click', () => selectConfigLine(diagnostic.line, diagnostic.column));
+      }
+
+      item.append(location, diagnostic.message);
+      if (diagnostic.suggestion) {
+        const suggestion = document.createElement('em');
+        suggestion.textContent = ` — ${diagnostic.suggestion}`;
+        item.appendChild(suggestion);
+      }
+      diagnosticsList.appendChild(item);
     }
   }
 
+  /**
+   * Mark lines with problems in the backdrop behind the textarea. The
+   * backdrop repeats the text invisibly, so marks line up with the lines
+   * @param {Array<Object>} diagnostics - Diagnostics for the textarea's own text
+   */
+  function highlightConfigLines(diagnostics) {
+    const severities = new Map();
+    const rank = { info: 0, warning: 1, error: 2 };
+    for (const { line, severity } of diagnostics) {
+      if (severity === 'info') {
+        continue;
+      }
+      if (!severities.has(line) || rank[severity] > rank[severities.get(line)]) {
+        severities.set(line, severity);
+      }
+    }
+
+    configHighlights.replaceChildren(...configTextarea.value.split('\n').map((text, index) => {
+      const line = document.createElement('div');
+      line.textContent = text || ' ';
+      if (severities.has(index + 1)) {
+        line.className = `highlight-${severities.get(index + 1)}`;
+      }
+      return line;
+    }));
+    configHighlights.scrollTop = configTextarea.scrollTop;
+  }
+
+  /**
+   * Select a line of the configuration text from a column and scroll it into view
+   * @param {number} line - 1-based line number
+   * @param {number} [column] - 1-based column
+   */
+  function selectConfigLine(line, column = 1) {
+    const lines = configTextarea.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+    configTextarea.focus();
+    configTextarea.setSelectionRange(start + column - 1, start + (lines[line - 1] || '').length);
+
+    const lineHeight = parseFloat(getComputedStyle(configTextarea).lineHeight) || 18;
+    configTextarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  }
+
+  async function addBinding() {
+    const key = newBindingKey.value.trim();
+    const command = newBindingCommand.value.trim();
+    if (!key || !command) {
+      showStatus('Enter a key and a LyX command', 'error');
+      return;
+    }
+
+    await applyBindText(LyXBindText.appendLine(configTextarea.value, LyXBindText.formatBindLine(key, command)));
+    newBindingKey.value = '';
+    newBindingCommand.value = '';
+  }
+
+  async function updateBinding(line, key, command, disabled) {
+    if (!key.trim() || !command.trim()) {
+      showStatus('A binding needs a key and a LyX command', 'error');
+      displayBindingTable();
+      return;
+    }
+    await applyBindText(LyXBindText.setLine(configTextarea.value, line,
+      LyXBindText.formatBindLine(key.trim(), command.trim(), disabled)));
+  }
+
+  /**
+   * Put edited bind text in the textarea and save it, so the textarea, the
+   * stored keymap and the export all show the same bindings
+   * @param {string} text - Updated bind file content
+   */
+  async function applyBindText(text) {
+    configTextarea.value = text;
+    displayBindingTable();
+    await saveConfiguration();
+  }
+
+  /**
+   * Record key presses into a key input in LyX notation. Every press adds a
+   * chord, so sequences can be recorded; clicking the button again or
+   * moving focus away stops recording
+   * @param {HTMLButtonElement} button - The record button, which keeps focus while recording
+   * @param {HTMLInputElement} input - Input receiving the key sequence
+   * @param {Function} [onRecorded] - Called after recording stopped with a new sequence
+   */
+  async function recordKeys(button, input, onRecorded) {
+    if (button.classList.contains('recording')) {
+      button.blur();
+      return;
+    }
+
+    const { macMMapping = 'ctrl' } = await chrome.storage.local.get(['macMMapping']);
+    const parser = new LyXConfigParser();
+    const options = { mapMetaToCtrl: macMMapping === 'ctrl' };
+    const chords = [];
+
+    const onKeyDown = (e) => {
+      // Option combinations on a Mac type special characters; record the key instead
+      const chord = LyXKeyNames.chordFromEvent(e, { physical: isMac && e.altKey && !e.ctrlKey && !e.metaKey });
+      e.preventDefault();
+      e.stopPropagation();
+      if (!chord) {
+        return; // Wait for the key that goes with the modifiers
+      }
+
+      chords.push(LyXKeyNames.parseChord(chord));
+      const sequence = parser.formatKeySequence(chords, options);
+      if (sequence === null) {
+        chords.pop();
+        showStatus('⌘ can only be bound when M- maps to Command (see the Mac setting above)', 'error');
+        return;
+      }
+      input.value = sequence;
+    };
+
+    const stop = () => {
+      document.removeEventListener('keydown', onKeyDown, true);
+      button.removeEventListener('blur', stop);
+      button.classList.remove('recording');
+      button.textContent = '⏺';
+      if (chords.length > 0 && onRecorded) {
+        onRecorded();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown, true);
+    button.addEventListener('blur', stop);
+    button.classList.add('recording');
+    button.textContent = 'Done';
+    button.focus();
+  }
+
+  function formatKeyForDisplay(key, isMac, macMMapping) {
+    // Sequences: format each chord separately and join with arrows
+    return key.split(' ').map(part => formatSingleKey(part, isMac, macMMapping)).join(' → ');
+  }
+
   function formatSingleKey(key, isMac, macMMapping) {
-    // Convert to Mac-style display based on user preference
-    let formatted;
-    if (macMMapping === 'meta') {
-      // User chose to map M- to Command, show meta+ as ⌘
-      formatted = key
-        .replace(/ctrl\+/gi, '⌃')  // Regular Ctrl keys (no space for simultaneous)
-        .replace(/meta\+/gi, '⌘')  // M- keys mapped to Command  
-        .replace(/alt\+/gi, '⌥')
-        .replace(/shift\+/gi, '⇧');
-    } else {
-      // User chose to map M- to Ctrl (default), show both ctrl+ and meta+ as ⌃
-      formatted = key
-        .replace(/ctrl\+/gi, '⌃')  // Regular Ctrl keys (no space for simultaneous)
-        .replace(/meta\+/gi, '⌃')  // M- keys mapped to Ctrl  
-        .replace(/alt\+/gi, '⌥')
-        .replace(/shift\+/gi, '⇧');
+    const { modifiers, optional, key: keyName } = LyXKeyNames.parseChord(key);
+    const keyLabel = LyXKeyNames.toDisplay(keyName);
+
+    // Optional modifiers (LyX's ~S-) are shown in parentheses
+    const ordered = LyXKeyNames.MODIFIERS.filter(modifier => modifiers.includes(modifier) || optional.includes(modifier));
+    const label = (modifier, text) => optional.includes(modifier) ? `(${text})` : text;
+
+    if (!isMac) {
+      return [...ordered.map(modifier => label(modifier, modifier)), keyLabel].join('+');
     }
-    
-    // Clean up arrow keys and special keys - be specific to avoid double replacements
-    formatted = formatted
-      .replace(/arrowright/gi, '→')
-      .replace(/arrowleft/gi, '←')
-      .replace(/arrowup/gi, '↑')
-      .replace(/arrowdown/gi, '↓')
-      .replace(/enter/gi, '⏎')
-      .replace(/backspace/gi, '⌫')
-      .replace(/space/gi, '␣')
-      .replace(/delete/gi, '⌦')
-      .replace(/insert/gi, 'Ins')
-      .replace(/home/gi, '⤴')
-      .replace(/end/gi, '⤵')
-      .replace(/kp_/gi, 'Num ')
-      .replace(/period/gi, '.')
-      .replace(/quotedbl/gi, '"')
-      .replace(/minus/gi, '-')
-      .replace(/slash/gi, '/')
-      .replace(/nobreak/gi, 'NoBreak');
-    
-    // Clean up and format final result - remove trailing + and uppercase
-    formatted = formatted
-      .replace(/\s+$/, '')  // Remove trailing spaces
-      .replace(/\+$/, '')   // Remove trailing +
-      .trim();
-    
-    // Uppercase the final key only (single letters)
-    formatted = formatted.replace(/([a-z])$/i, (match) => match.toUpperCase());
-    
-    return formatted;
+
+    // Convert to Mac-style display based on user preference: with M- mapped
+    // to Command, meta+ shows as ⌘, otherwise both ctrl+ and meta+ show as ⌃
+    const macSymbols = {
+      ctrl: '⌃',
+      meta: macMMapping === 'meta' ? '⌘' : '⌃',
+      alt: '⌥',
+      shift: '⇧'
+    };
+    return ordered.map(modifier => label(modifier, macSymbols[modifier])).join('') + keyLabel;
   }
 
   function getActionDescription(action) {
     switch (action.type) {
+      case 'format': {
+        const rendered = LyXDialects.render(action.command, dialectSelect.value);
+        return `Format: ${action.command}${rendered ? ` → ${getActionDescription(rendered)}` : ''}`;
+      }
       case 'insert':
         return `Insert: "${action.text}"`;
       case 'wrap':
@@ -353,6 +854,10 @@ document.addEventListener('DOMContentLoaded', () => {
         return `Clipboard: ${action.action}`;
       case 'edit':
         return `Edit: ${action.action}`;
+      case 'sequence':
+        return `Sequence: ${action.actions.map(getActionDescription).join(' → ')}`;
+      case 'alternatives':
+        return `First of: ${action.actions.map(getActionDescription).join(' | ')}`;
       default:
         return 'Unknown action';
     }
@@ -367,8 +872,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     try {
-      // Parse the configuration
-      await parseAndDisplayConfig(configText);
+      // Parse the configuration; text that does not parse is not stored or
+      // synced next to the mappings of the previous text
+      if (!await parseAndDisplayConfig(configText)) {
+        return;
+      }
       
       // Save to storage
       const mappingsObj = Object.fromEntries(currentMappings);
@@ -396,7 +904,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       // Send message to background script to load defaults
-      await chrome.runtime.sendMessage({ action: 'loadConfig', configText: '' });
+      const response = await chrome.runtime.sendMessage({ action: 'loadConfig', configText: '' });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background script');
+      }
       
       // Reload the page configuration
       await loadCurrentConfig();
@@ -426,6 +937,8 @@ document.addEventListener('DOMContentLoaded', () => {
       configTextarea.value = '';
       currentMappings.clear();
       await displayHotkeyList();
+      displayBindingTable();
+      displayDiagnostics([]);
       
       showStatus('All configurations cleared', 'info');
     } catch (error) {
@@ -441,18 +954,127 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    const blob = new Blob([configText], { type: 'text/plain' });
+    downloadBindFile(configText);
+    showStatus('Configuration exported successfully', 'success');
+  }
+
+  /**
+   * Export the mappings the extension actually uses (which may come from the
+   * defaults, a reparse or updateMappings rather than the text) as a .bind
+   * file, keeping the comments and order of the saved configuration
+   */
+  async function exportEffectiveKeymap() {
+    try {
+      const result = await chrome.storage.local.get(['config', 'hotkeyMappings']);
+      const mappings = result.hotkeyMappings || {};
+      if (Object.keys(mappings).length === 0) {
+        showStatus('No keymap to export', 'error');
+        return;
+      }
+
+      downloadBindFile(LyXBindText.serialize(mappings, result.config || '', await getParseOptions()));
+      showStatus(`Exported ${Object.keys(mappings).length} bindings`, 'success');
+    } catch (error) {
+      showStatus('Error exporting keymap: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Export the mappings the extension uses as a versioned JSON keymap
+   */
+  async function exportKeymapJson() {
+    try {
+      const result = await chrome.storage.local.get(['hotkeyMappings']);
+      const keymap = LyXKeymapSchema.createDocument(result.hotkeyMappings || {});
+      downloadFile(JSON.stringify(keymap, null, 2) + '\n', 'lyx-hotkeys.json', 'application/json');
+      showStatus(`Exported ${Object.keys(keymap.mappings).length} bindings as JSON`, 'success');
+    } catch (error) {
+      showStatus('Error exporting keymap: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Import a JSON keymap, upgrading keymaps exported by older versions.
+   * The keymap replaces the .bind configuration, which would otherwise be
+   * reparsed over it
+   */
+  async function handleJsonFileSelect(e) {
+    const file = e.target.files[0];
+    jsonFileInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    let keymap;
+    try {
+      keymap = LyXKeymapSchema.migrate(JSON.parse(await file.text())).document;
+    } catch (error) {
+      showStatus(`Could not read ${file.name}: ${error.message}`, 'error');
+      return;
+    }
+
+    const errors = LyXKeymapSchema.validate(keymap);
+    if (errors.length > 0) {
+      const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+      showStatus(`Invalid keymap in ${file.name}: ${errors.slice(0, 3).join('; ')}${more}`, 'error');
+      return;
+    }
+
+    if (configTextarea.value.trim() &&
+        !confirm('Importing a JSON keymap replaces your .bind configuration. Continue?')) {
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({
+        config: '',
+        hotkeyMappings: keymap.mappings,
+        keymapVersion: keymap.version
+      });
+      await chrome.runtime.sendMessage({
+        action: 'updateMappings',
+        mappings: keymap.mappings
+      });
+
+      configTextarea.value = '';
+      currentMappings = new Map(Object.entries(keymap.mappings));
+      await displayHotkeyList();
+      displayBindingTable();
+      displayDiagnostics([]);
+
+      showStatus(`Imported ${currentMappings.size} bindings from ${file.name}`, 'success');
+    } catch (error) {
+      showStatus('Error importing keymap: ' + error.message, 'error');
+    }
+  }
+
+  function downloadBindFile(text) {
+    downloadFile(text, 'lyx-hotkeys.bind', 'text/plain');
+  }
+
+  function downloadFile(text, filename, type) {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'lyx-hotkeys.bind';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     
     URL.revokeObjectURL(url);
-    showStatus('Configuration exported successfully', 'success');
+  }
+
+  /**
+   * Save settings through the background, which pushes them to open tabs
+   * @param {Object} changes - Settings to change, see LyXSettings.DEFAULTS
+   */
+  async function saveSettings(changes) {
+    const response = await chrome.runtime.sendMessage({ action: 'updateSettings', settings: changes });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from the background script');
+    }
   }
 
   function showStatus(message, type) {
@@ -469,10 +1091,10 @@ document.addEventListener('DOMContentLoaded', () => {
   // Mac key preference functions
   async function saveMacKeyPreference(preference) {
     try {
-      await chrome.storage.local.set({ macMMapping: preference });
+      await saveSettings({ macMMapping: preference });
       showStatus(`Mac key mapping preference saved: ${preference === 'ctrl' ? 'Ctrl' : 'Command'}`, 'success');
     } catch (error) {
-      console.error('Error saving Mac key preference:', error);
+      log.error('Error saving Mac key preference:', error);
       showStatus('Error saving preference', 'error');
     }
   }
@@ -487,7 +1109,7 @@ document.addEventListener('DOMContentLoaded', () => {
         radio.checked = true;
       }
     } catch (error) {
-      console.error('Error loading Mac key preference:', error);
+      log.error('Error loading Mac key preference:', error);
     }
   }
 
@@ -500,28 +1122,23 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Parse with Mac preference
         const options = {
-          mapMetaToCtrl: preference === 'ctrl'
+          mapMetaToCtrl: preference === 'ctrl',
+          scopeMathBindings: scopeMathCheckbox.checked,
+          files: await getBindFiles()
         };
         
-        console.log(`🔄 Reparsing with preference: ${preference}`, options);
+        log.debug(`🔄 Reparsing with preference: ${preference}`, options);
         const mappings = parser.parse(result.config, options);
-        
-        // Debug: Log some key mappings to see what we got after reparse
-        console.log(`🔍 Sample mappings after reparse:`);
-        let count = 0;
-        for (const [key, action] of mappings) {
-          if (count < 5 && key.includes('m')) { // Focus on M- keys
-            console.log(`  "${key}" → ${action.type}: ${action.action || action.text || 'unknown'}`);
-            count++;
-          }
-        }
-        
         const mappingsObj = Object.fromEntries(mappings);
         
         // Update storage and display
         await chrome.storage.local.set({ hotkeyMappings: mappingsObj });
         currentMappings = mappings;
         await displayHotkeyList();
+        // Promotions and conflicts depend on the preference
+        if (result.config === configTextarea.value) {
+          displayDiagnostics(parser.diagnostics);
+        }
         
         // Notify background script
         chrome.runtime.sendMessage({ 
@@ -532,25 +1149,293 @@ document.addEventListener('DOMContentLoaded', () => {
         showStatus('Configuration reloaded with new Mac key preference', 'success');
       }
     } catch (error) {
-      console.error('Error reparsing with Mac preference:', error);
+      log.error('Error reparsing with Mac preference:', error);
       showStatus('Error updating configuration', 'error');
     }
   }
 
+  // Output dialect functions
+  async function loadDialectSettings() {
+    try {
+      const result = await chrome.storage.local.get(['dialect', 'siteDialects']);
+      dialectSelect.value = result.dialect || LyXDialects.DEFAULT;
+      siteDialects = result.siteDialects || {};
+    } catch (error) {
+      log.error('Error loading dialect settings:', error);
+    }
+    displaySiteDialects();
+    displayDialectPreview();
+  }
+
+  async function saveDialectSettings() {
+    try {
+      await saveSettings({ dialect: dialectSelect.value, siteDialects });
+    } catch (error) {
+      log.error('Error saving dialect settings:', error);
+      showStatus('Error saving dialect setting', 'error');
+    }
+  }
+
+  async function addSiteDialect() {
+    // Accept pasted URLs as well as bare host names
+    const host = siteDialectHost.value.trim().replace(/^[a-z]+:\/\//i, '').split('/')[0].toLowerCase();
+    if (!host) {
+      showStatus('Please enter a host name', 'error');
+      return;
+    }
+
+    siteDialects[host] = siteDialectSelect.value;
+    siteDialectHost.value = '';
+    await saveDialectSettings();
+    displaySiteDialects();
+    showStatus(`${host} now uses ${LyXDialects.get(siteDialects[host]).name}`, 'success');
+  }
+
+  function displaySiteDialects() {
+    siteDialectList.innerHTML = '';
+
+    for (const host of Object.keys(siteDialects).sort()) {
+      const item = document.createElement('div');
+      item.className = 'include-file-item';
+
+      const label = document.createElement('span');
+      label.textContent = `${host} → ${LyXDialects.get(siteDialects[host]).name}`;
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', async () => {
+        delete siteDialects[host];
+        await saveDialectSettings();
+        displaySiteDialects();
+      });
+
+      item.appendChild(label);
+      item.appendChild(removeButton);
+      siteDialectList.appendChild(item);
+    }
+  }
+
+  function displayDialectPreview() {
+    const samples = ['font-bold', 'font-emph', 'font-typewriter', 'math-mode', 'math-display', 'quote-insert outer auto plain', 'specialchar-insert dots'];
+    dialectPreview.innerHTML = '';
+
+    for (const command of samples) {
+      const action = LyXDialects.render(command, dialectSelect.value);
+      const preview = action.type === 'wrap' ? `${action.before}text${action.after}` : action.text;
+
+      const row = document.createElement('tr');
+      const commandCell = document.createElement('td');
+      const previewCell = document.createElement('td');
+      commandCell.textContent = command;
+      previewCell.textContent = preview;
+      row.appendChild(commandCell);
+      row.appendChild(previewCell);
+      dialectPreview.appendChild(row);
+    }
+  }
+
+  // Site profile functions
+  async function loadProfiles() {
+    try {
+      const result = await chrome.storage.local.get(LyXProfiles.STORAGE_KEYS);
+      profiles = result.profiles || {};
+      profileRules = result.profileRules || [];
+      denyList = result.denyList || [];
+    } catch (error) {
+      log.error('Error loading profiles:', error);
+    }
+    displayProfiles();
+  }
+
+  /**
+   * Save profiles, profile rules and the deny list through the background
+   * @returns {Promise<boolean>} - True once they are stored
+   */
+  async function saveProfiles() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateProfiles',
+        profiles,
+        profileRules,
+        denyList
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the background script');
+      }
+      return true;
+    } catch (error) {
+      log.error('Error saving profiles:', error);
+      showStatus(`Error saving profiles: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Save profile changes and show them, or show the stored profiles again if
+   * the save failed, so the lists never show rules that were not stored
+   * @returns {Promise<boolean>} - True if the changes were stored
+   */
+  async function saveAndDisplayProfiles() {
+    if (await saveProfiles()) {
+      displayProfiles();
+      return true;
+    }
+    await loadProfiles();
+    return false;
+  }
+
+  async function saveCurrentAsProfile() {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      showStatus('Please enter a profile name', 'error');
+      return;
+    }
+    if (currentMappings.size === 0) {
+      showStatus('Load a configuration before saving it as a profile', 'error');
+      return;
+    }
+
+    // Saving under an existing name updates that profile
+    const existingId = Object.keys(profiles).find(id => profiles[id].name === name);
+    const settings = await LyXSettings.load();
+    profiles[existingId || LyXProfiles.createId()] = {
+      name,
+      config: configTextarea.value,
+      mappings: Object.fromEntries(currentMappings),
+      settings: Object.fromEntries(LyXSettings.PROFILE_KEYS.map(key => [key, settings[key]]))
+    };
+
+    profileNameInput.value = '';
+    if (await saveAndDisplayProfiles()) {
+      showStatus(`Profile "${name}" saved with ${currentMappings.size} hotkeys`, 'success');
+    }
+  }
+
+  async function addProfileRule() {
+    const pattern = profileRulePattern.value.trim().replace(/^[a-z]+:\/\//i, '').toLowerCase();
+    if (!pattern || !profileRuleSelect.value) {
+      showStatus('Please enter a site pattern and choose a profile', 'error');
+      return;
+    }
+
+    profileRules.push({ pattern, profileId: profileRuleSelect.value });
+    profileRulePattern.value = '';
+    await saveAndDisplayProfiles();
+  }
+
+  async function addDenyPattern() {
+    const pattern = denyPattern.value.trim().replace(/^[a-z]+:\/\//i, '').toLowerCase();
+    if (!pattern) {
+      showStatus('Please enter a site pattern', 'error');
+      return;
+    }
+
+    if (!denyList.includes(pattern)) {
+      denyList.push(pattern);
+    }
+    denyPattern.value = '';
+    await saveAndDisplayProfiles();
+  }
+
+  function displayProfiles() {
+    profileList.innerHTML = '';
+    profileRuleSelect.innerHTML = '';
+
+    for (const [id, profile] of Object.entries(profiles)) {
+      const count = Object.keys(profile.mappings || {}).length;
+      const dialect = LyXDialects.get(profile.settings && profile.settings.dialect).name;
+      appendListItem(profileList, `${profile.name} (${count} hotkeys, ${dialect})`, () => {
+        delete profiles[id];
+        // Rules pointing at a deleted profile would never match again
+        profileRules = profileRules.filter(rule => rule.profileId !== id);
+      });
+      profileRuleSelect.add(new Option(profile.name, id));
+    }
+
+    profileRuleList.innerHTML = '';
+    profileRules.forEach((rule, index) => {
+      const profile = profiles[rule.profileId];
+      appendListItem(profileRuleList, `${rule.pattern} → ${profile ? profile.name : 'missing profile'}`, () => {
+        profileRules.splice(index, 1);
+      });
+    });
+
+    denyListElement.innerHTML = '';
+    denyList.forEach((pattern, index) => {
+      appendListItem(denyListElement, pattern, () => {
+        denyList.splice(index, 1);
+      });
+    });
+  }
+
+  function appendListItem(list, text, onRemove) {
+    const item = document.createElement('div');
+    item.className = 'include-file-item';
+
+    const label = document.createElement('span');
+    label.textContent = text;
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', async () => {
+      onRemove();
+      await saveAndDisplayProfiles();
+    });
+
+    item.appendChild(label);
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  }
+
+  // Sync functions
+  async function syncNow() {
+    if (!syncEnabledCheckbox.checked) {
+      showStatus('Turn on sync first', 'error');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'syncNow' });
+    if (!response || !response.success) {
+      showStatus('Sync failed: ' + (response ? response.error : 'no response'), 'error');
+    } else if (response.status.state === 'synced' || response.status.state === 'conflict') {
+      showStatus('Synced', 'success');
+      await loadCurrentConfig();
+    } else {
+      showStatus(response.status.message || 'Not synced', 'error');
+    }
+  }
+
+  function displaySyncStatus(status) {
+    if (!status || status.state === 'disabled') {
+      syncStatusElement.textContent = 'Sync is off: everything is stored on this computer only.';
+      return;
+    }
+
+    const time = new Date(status.at).toLocaleString();
+    const messages = {
+      synced: `Synced ${time}, using ${status.size || 0} of ${LyXSync.QUOTA_BYTES} bytes.`,
+      conflict: `Synced ${time}.`,
+      'over-quota': `Not synced (${time}): ${status.message}. Everything stays on this computer until it fits.`,
+      error: `Not synced (${time}): ${status.message}`
+    };
+    let text = messages[status.state] || '';
+
+    if (status.conflicts && status.conflicts.length > 0) {
+      const changes = status.conflicts.map(({ key, kept }) =>
+        `${LyXSync.KEY_LABELS[key] || key} (kept ${kept === 'local' ? 'this computer\'s' : 'the other computer\'s'})`);
+      text += ` Changed on both computers: ${changes.join(', ')}.`;
+    }
+    syncStatusElement.textContent = text;
+  }
+
   // Sequence timeout functions
   async function saveSequenceTimeout(timeout) {
     try {
-      await chrome.storage.local.set({ sequenceTimeout: timeout });
+      await saveSettings({ sequenceTimeout: timeout });
       
-      // Notify background script and all tabs
-      chrome.runtime.sendMessage({ 
-        action: 'updateSequenceTimeout', 
-        timeout: timeout 
-      });
-      
-      console.log(`Sequence timeout saved: ${timeout}ms`);
+      log.debug(`Sequence timeout saved: ${timeout}ms`);
     } catch (error) {
-      console.error('Error saving sequence timeout:', error);
+      log.error('Error saving sequence timeout:', error);
       showStatus('Error saving timeout setting', 'error');
     }
   }
@@ -558,17 +1443,22 @@ document.addEventListener('DOMContentLoaded', () => {
   async function loadSequenceTimeout() {
     try {
       const result = await chrome.storage.local.get(['sequenceTimeout']);
-      const timeout = result.sequenceTimeout || 1000; // Default 1000ms
+      const timeout = result.sequenceTimeout ?? 1000; // Default 1000ms, 0 waits indefinitely
       
       const slider = document.getElementById('sequenceTimeout');
       const display = document.getElementById('timeoutValue');
+      const waitIndefinitely = document.getElementById('waitIndefinitely');
       
       if (slider && display) {
-        slider.value = timeout;
-        display.textContent = `${timeout}ms`;
+        waitIndefinitely.checked = timeout === 0;
+        slider.disabled = timeout === 0;
+        if (timeout > 0) {
+          slider.value = timeout;
+        }
+        display.textContent = timeout === 0 ? 'No limit' : `${timeout}ms`;
       }
     } catch (error) {
-      console.error('Error loading sequence timeout:', error);
+      log.error('Error loading sequence timeout:', error);
     }
   }
 });
@@ -0,0 +1,203 @@
+/**
+ * Pending Sequence Overlay for LyX Hotkey Extension
+ * Shows the prefix typed so far and the keys that can complete it, next to
+ * the caret, while the content script waits for the rest of a key sequence
+ */
+
+class LyXSequenceOverlay {
+  constructor() {
+    this.host = null; // Created lazily, the first time a prefix is pending
+    this.panel = null;
+  }
+
+  /**
+   * Show the pending prefix and its completions
+   * @param {Element} element - Focused editable element
+   * @param {Array<string>} prefix - Chords typed so far
+   * @param {Array<{rest: string, action: Object}>} completions - Remaining chords and their actions
+   * @param {Object} [pendingAction] - Binding of the prefix itself, run when no key follows
+   */
+  show(element, prefix, completions, pendingAction) {
+    this.ensureCreated();
+
+    const header = document.createElement('div');
+    header.className = 'prefix';
+    header.textContent = `${LyXSequenceOverlay.formatSequence(prefix.join(' '))} …`;
+
+    const list = document.createElement('div');
+    list.className = 'completions';
+    const shown = completions.slice(0, LyXSequenceOverlay.MAX_COMPLETIONS);
+    for (const { rest, action } of shown) {
+      const key = document.createElement('span');
+      key.className = 'key';
+      key.textContent = LyXSequenceOverlay.formatSequence(rest);
+
+      const description = document.createElement('span');
+      description.textContent = LyXSequenceOverlay.describeAction(action);
+
+      list.appendChild(key);
+      list.appendChild(description);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'hint';
+    const hints = [];
+    if (completions.length > shown.length) {
+      hints.push(`+${completions.length - shown.length} more`);
+    }
+    if (pendingAction) {
+      hints.push(`otherwise ${LyXSequenceOverlay.describeAction(pendingAction)}`);
+    }
+    hints.push('Esc to cancel');
+    footer.textContent = hints.join(' · ');
+
+    this.panel.replaceChildren(header, list, footer);
+    this.host.style.display = 'block';
+    this.position(element);
+  }
+
+  hide() {
+    if (this.host) {
+      this.host.style.display = 'none';
+    }
+  }
+
+  ensureCreated() {
+    if (this.host && this.host.isConnected) {
+      return;
+    }
+
+    // A shadow root keeps page styles out and our styles in
+    this.host = document.createElement('div');
+    this.host.style.cssText = 'position: fixed; z-index: 2147483647; display: none; pointer-events: none;';
+    const shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = LyXSequenceOverlay.STYLE;
+    this.panel = document.createElement('div');
+    this.panel.className = 'panel';
+
+    shadow.appendChild(style);
+    shadow.appendChild(this.panel);
+    document.documentElement.appendChild(this.host);
+  }
+
+  /**
+   * Place the overlay just below the caret, or below the field when the
+   * caret position is unknown (inputs and textareas), keeping it on screen
+   */
+  position(element) {
+    let rect = element.getBoundingClientRect();
+
+    if (element.isContentEditable) {
+      const selection = window.getSelection();
+      if (selection.rangeCount > 0) {
+        const caretRect = selection.getRangeAt(0).getBoundingClientRect();
+        if (caretRect.width || caretRect.height) {
+          rect = caretRect;
+        }
+      }
+    }
+
+    const width = this.host.offsetWidth;
+    const height = this.host.offsetHeight;
+    const margin = 4;
+    const left = Math.max(margin, Math.min(rect.left, window.innerWidth - width - margin));
+    const below = rect.bottom + margin;
+    const top = below + height <= window.innerHeight ? below : Math.max(margin, rect.top - height - margin);
+
+    this.host.style.left = `${left}px`;
+    this.host.style.top = `${top}px`;
+  }
+
+  /**
+   * Format a mapping key for display, e.g. "ctrl+l a" → "Ctrl+L A"
+   * @param {string} sequence - Key sequence
+   * @returns {string} - Display text
+   */
+  static formatSequence(sequence) {
+    return sequence.split(' ').map(chord => {
+      const { modifiers, optional, key } = LyXKeyNames.parseChord(chord);
+      const names = LyXKeyNames.MODIFIERS
+        .filter(modifier => modifiers.includes(modifier) || optional.includes(modifier))
+        .map(modifier => {
+          const name = modifier.charAt(0).toUpperCase() + modifier.slice(1);
+          return optional.includes(modifier) ? `(${name})` : name;
+        });
+      return [...names, LyXKeyNames.toDisplay(key)].join('+');
+    }).join(' ');
+  }
+
+  /**
+   * Describe an action in a few words
+   * @param {Object} action - Action object
+   * @returns {string} - Short description
+   */
+  static describeAction(action) {
+    switch (action.type) {
+      case 'insert':
+        return action.text.replace(/\n/g, '⏎');
+      case 'wrap':
+        return `${action.before}…${action.after}`.replace(/\n/g, '⏎');
+      case 'format':
+        return action.command;
+      case 'navigation':
+      case 'selection':
+      case 'delete':
+      case 'clipboard':
+      case 'edit':
+        return action.action;
+      case 'sequence':
+        return action.actions.map(LyXSequenceOverlay.describeAction).join(', ');
+      case 'alternatives':
+        return action.actions.map(LyXSequenceOverlay.describeAction).join(' | ');
+      default:
+        return action.type;
+    }
+  }
+}
+
+// Completions listed before the rest are summarized as "+N more"
+LyXSequenceOverlay.MAX_COMPLETIONS = 12;
+
+LyXSequenceOverlay.STYLE = `
+  .panel {
+    max-width: 360px;
+    padding: 6px 10px;
+    background: rgba(45, 55, 72, 0.95);
+    color: #f7fafc;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+    font: 12px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  }
+  .prefix {
+    font-weight: 600;
+    margin-bottom: 4px;
+  }
+  .completions {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    column-gap: 12px;
+  }
+  .key {
+    font-family: 'SF Mono', Monaco, monospace;
+    color: #90cdf4;
+    white-space: nowrap;
+  }
+  .completions span:not(.key) {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .hint {
+    margin-top: 4px;
+    color: #a0aec0;
+  }
+`;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXSequenceOverlay;
+} else if (typeof window !== 'undefined') {
+  window.LyXSequenceOverlay = LyXSequenceOverlay;
+}
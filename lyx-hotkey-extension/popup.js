@@ -8,18 +8,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   const status = document.getElementById('status');
   const hotkeyCount = document.getElementById('hotkeyCount');
   const pageStatus = document.getElementById('pageStatus');
+  const profileName = document.getElementById('profileName');
   const openOptionsBtn = document.getElementById('openOptions');
   const testModeBtn = document.getElementById('testMode');
+  const siteControls = document.getElementById('siteControls');
+  const toggleSiteBtn = document.getElementById('toggleSite');
+  const pauseUntilReloadBtn = document.getElementById('pauseUntilReload');
+  const pauseMinutes = document.getElementById('pauseMinutes');
+  const pauseForMinutesBtn = document.getElementById('pauseForMinutes');
+  const resumeTabBtn = document.getElementById('resumeTab');
+
+  let activeTab = null;
+  let siteDenied = false;
 
   // Initialize UI first
   updateUI(false, {});
 
   // Get current state from background script
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'getState' });
-    if (response) {
-      updateUI(response.enabled, response.mappings);
-    }
+    await refreshState();
   } catch (error) {
     console.error('Failed to get extension state:', error);
     // Fallback: try to get from storage directly
@@ -35,10 +42,39 @@ document.addEventListener('DOMContentLoaded', async () => {
   toggleSwitch.addEventListener('click', async () => {
     const response = await chrome.runtime.sendMessage({ action: 'toggleExtension' });
     if (response) {
-      updateUI(response.enabled, await getCurrentMappings());
+      await refreshState();
     }
   });
 
+  // Per-site and per-tab controls
+  toggleSiteBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({
+      action: 'setSiteDisabled',
+      url: activeTab.url,
+      disabled: !siteDenied
+    });
+    await refreshState();
+  });
+
+  pauseUntilReloadBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'pauseTab', tabId: activeTab.id });
+    await refreshState();
+  });
+
+  pauseForMinutesBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({
+      action: 'pauseTab',
+      tabId: activeTab.id,
+      minutes: parseInt(pauseMinutes.value)
+    });
+    await refreshState();
+  });
+
+  resumeTabBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ action: 'resumeTab', tabId: activeTab.id });
+    await refreshState();
+  });
+
   // Open options page
   openOptionsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -69,26 +105,68 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Check if current page is compatible
   checkPageCompatibility();
 
-  function updateUI(enabled, mappings) {
-    // Update toggle switch
-    toggleSwitch.classList.toggle('active', enabled);
+  /**
+   * Ask the background script for the state of the active tab, which
+   * depends on the profile its URL resolves to
+   */
+  async function refreshState() {
+    [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({
+      action: 'getState',
+      url: activeTab ? activeTab.url : '',
+      tabId: activeTab ? activeTab.id : undefined
+    });
+    if (response) {
+      updateUI(response.enabled, response.mappings, response);
+      updateSiteControls(response);
+    }
+  }
+
+  function updateSiteControls(state) {
+    // Only regular web pages can be disabled or paused
+    const isWebPage = !!activeTab && /^https?:\/\//.test(activeTab.url);
+    siteControls.classList.toggle('hidden', !isWebPage);
+    if (!isWebPage) {
+      return;
+    }
+
+    siteDenied = !!state.denied;
+    toggleSiteBtn.textContent = siteDenied ? 'Enable on This Site' : 'Disable on This Site';
+
+    const paused = !!state.pause;
+    pauseUntilReloadBtn.disabled = paused || siteDenied;
+    pauseForMinutesBtn.disabled = paused || siteDenied;
+    resumeTabBtn.classList.toggle('hidden', !paused);
+  }
+
+  function updateUI(enabled, mappings, state = {}) {
+    // The toggle reflects the global switch; a denied site is reported separately
+    toggleSwitch.classList.toggle('active', state.globalEnabled ?? enabled);
     
     // Update status
-    status.className = enabled ? 'status enabled' : 'status disabled';
-    status.textContent = enabled 
-      ? 'Extension is active and monitoring hotkeys'
-      : 'Extension is disabled';
+    status.className = enabled && !state.pause ? 'status enabled' : 'status disabled';
+    if (state.denied && state.globalEnabled) {
+      status.textContent = 'Extension is disabled on this site';
+    } else if (state.pause && state.globalEnabled) {
+      status.textContent = state.pause.untilReload
+        ? 'Paused in this tab until it is reloaded'
+        : `Paused in this tab until ${new Date(state.pause.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    } else {
+      status.textContent = enabled 
+        ? 'Extension is active and monitoring hotkeys'
+        : 'Extension is disabled';
+    }
+    
+    // Update active profile
+    profileName.textContent = state.denied
+      ? 'Disabled on this site'
+      : (state.profile ? state.profile.name : 'Default');
     
     // Update hotkey count
     const count = mappings ? Object.keys(mappings).length : 0;
     hotkeyCount.textContent = count;
   }
 
-  async function getCurrentMappings() {
-    const result = await chrome.storage.local.get(['hotkeyMappings']);
-    return result.hotkeyMappings || {};
-  }
-
   async function checkPageCompatibility() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -0,0 +1,88 @@
+/**
+ * Site Profiles for LyX Hotkey Extension
+ * Resolves which keymap profile applies to a URL from pattern rules and a deny list
+ */
+
+class LyXProfiles {
+  /**
+   * Check whether a URL matches a site pattern. A pattern is a host glob
+   * ("docs.google.com", "*.overleaf.com") optionally followed by a path
+   * prefix ("github.com/myorg/"). A leading "*." also matches the bare host.
+   * @param {string} url - Page URL
+   * @param {string} pattern - Site pattern
+   * @returns {boolean} - True if the URL matches
+   */
+  static matches(url, pattern) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const trimmed = pattern.trim().replace(/^[a-z]+:\/\//i, '').toLowerCase();
+    if (!trimmed) {
+      return false;
+    }
+
+    const slash = trimmed.indexOf('/');
+    const hostGlob = slash === -1 ? trimmed : trimmed.slice(0, slash);
+    const pathPrefix = slash === -1 ? '' : trimmed.slice(slash);
+    const hostname = parsed.hostname.toLowerCase();
+
+    const hostRegex = new RegExp('^' + hostGlob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$');
+    const hostMatches = hostRegex.test(hostname) ||
+      (hostGlob.startsWith('*.') && hostname === hostGlob.slice(2));
+
+    return hostMatches && parsed.pathname.toLowerCase().startsWith(pathPrefix);
+  }
+
+  /**
+   * Resolve the profile for a URL
+   * @param {string} url - Page URL
+   * @param {Object} data - Stored profile data
+   * @param {Object} data.profiles - Map of profile id to {name, config, mappings, settings}
+   * @param {Array} data.profileRules - Ordered {pattern, profileId} rules; the first match wins
+   * @param {Array} data.denyList - Patterns of sites where the extension is off
+   * @returns {{denied: boolean, profileId: string, profile: Object|null}} - The resolved profile;
+   *   profile is null for the default profile, which uses the global keymap
+   */
+  static resolve(url, { profiles = {}, profileRules = [], denyList = [] } = {}) {
+    const denied = !!url && denyList.some(pattern => LyXProfiles.matches(url, pattern));
+
+    if (url) {
+      for (const rule of profileRules) {
+        if (profiles[rule.profileId] && LyXProfiles.matches(url, rule.pattern)) {
+          return { denied, profileId: rule.profileId, profile: profiles[rule.profileId] };
+        }
+      }
+    }
+
+    return { denied, profileId: LyXProfiles.DEFAULT_ID, profile: null };
+  }
+
+  /**
+   * Create a new, unique profile id
+   * @returns {string} - Profile id
+   */
+  static createId() {
+    return `profile-${Date.now().toString(36)}`;
+  }
+}
+
+// The default profile is the global keymap and settings
+LyXProfiles.DEFAULT_ID = 'default';
+LyXProfiles.DEFAULT_NAME = 'Default';
+
+// Storage keys holding profile data
+LyXProfiles.STORAGE_KEYS = ['profiles', 'profileRules', 'denyList'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXProfiles;
+} else if (typeof window !== 'undefined') {
+  window.LyXProfiles = LyXProfiles;
+}
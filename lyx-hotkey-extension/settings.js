@@ -0,0 +1,123 @@
+/**
+ * Settings for LyX Hotkey Extension
+ * Every tunable in one object with defaults. Each setting is stored under
+ * its own chrome.storage.local key (so sync can merge them one by one);
+ * the background script persists changes and pushes the settings that
+ * apply to each page to its content script
+ */
+
+class LyXSettings {
+  /**
+   * Load all settings, filling in defaults for those never saved
+   * @returns {Promise<Object>} - Settings object with every key of LyXSettings.DEFAULTS
+   */
+  static async load() {
+    const stored = await chrome.storage.local.get(LyXSettings.KEYS);
+    return LyXSettings.withDefaults(stored);
+  }
+
+  /**
+   * Save some settings. Only known settings with valid values are stored
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} - The settings that were stored
+   * @throws {Error} - If a setting is unknown or its value invalid
+   */
+  static async save(changes) {
+    const errors = LyXSettings.validate(changes);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    await chrome.storage.local.set(changes);
+    return changes;
+  }
+
+  /**
+   * Complete settings with the defaults
+   * @param {Object} settings - Some or all settings
+   * @returns {Object} - Every setting
+   */
+  static withDefaults(settings = {}) {
+    const complete = {};
+    for (const [key, fallback] of Object.entries(LyXSettings.DEFAULTS)) {
+      complete[key] = settings[key] ?? (typeof fallback === 'object' ? { ...fallback } : fallback);
+    }
+    return complete;
+  }
+
+  /**
+   * Check settings against the type of their default and their allowed values
+   * @param {Object} settings - Settings to check
+   * @returns {Array<string>} - Error messages; empty if all settings are valid
+   */
+  static validate(settings) {
+    const errors = [];
+    for (const [key, value] of Object.entries(settings || {})) {
+      if (!(key in LyXSettings.DEFAULTS)) {
+        errors.push(`Unknown setting "${key}"`);
+        continue;
+      }
+
+      const type = typeof LyXSettings.DEFAULTS[key];
+      if (typeof value !== type || value === null || Array.isArray(value)) {
+        errors.push(`${key}: expected ${type === 'object' ? 'an' : 'a'} ${type}`);
+      } else if (LyXSettings.CHOICES[key] && !LyXSettings.CHOICES[key].includes(value)) {
+        errors.push(`${key}: expected one of ${LyXSettings.CHOICES[key].join(', ')}`);
+      } else if (key === 'sequenceTimeout' && (value < 0 || !Number.isFinite(value))) {
+        errors.push('sequenceTimeout: expected 0 (no limit) or a number of milliseconds');
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * List the settings that changed in a chrome.storage.onChanged event
+   * @param {Object} changes - Changes of the local area
+   * @returns {Array<string>} - Changed setting keys
+   */
+  static changedKeys(changes) {
+    return LyXSettings.KEYS.filter(key => key in changes);
+  }
+}
+
+LyXSettings.DEFAULTS = {
+  // Keys
+  sequenceTimeout: 1000, // Milliseconds to wait for the next key of a sequence; 0 waits indefinitely
+  prefixPolicy: LyXKeymapTrie.DEFAULT_PREFIX_POLICY, // See LyXKeymapTrie.PREFIX_POLICIES
+  matchMode: LyXKeyboardLayouts.DEFAULT_MATCH_MODE, // See LyXKeyboardLayouts.MATCH_MODES
+  keyboardLayout: LyXKeyboardLayouts.DEFAULT, // See LyXKeyboardLayouts.LAYOUTS
+  macMMapping: 'ctrl', // What LyX's M- means on a Mac: 'ctrl' (⌃) or 'meta' (⌘)
+
+  // Output
+  dialect: 'markdown', // See LyXDialects
+  siteDialects: {}, // Host → dialect overrides
+  scopeMathBindings: true, // Math commands only fire inside math
+
+  // Display and diagnostics
+  showOverlay: true, // Show pending sequences and their completions next to the caret
+  logLevel: 'warn', // What reaches the console, see LyXLogger.LEVELS
+  logCaptureLevel: 'info', // What the background keeps for the log viewer
+  logSubsystems: {} // Subsystem → false to silence it, see LyXLogger.SUBSYSTEMS
+};
+
+LyXSettings.KEYS = Object.keys(LyXSettings.DEFAULTS);
+
+// Settings a site profile saves and overrides on the sites it applies to;
+// the rest (Mac mapping, overlay, logging) belong to the computer
+LyXSettings.PROFILE_KEYS = ['sequenceTimeout', 'prefixPolicy', 'matchMode', 'keyboardLayout', 'dialect', 'scopeMathBindings'];
+
+// Allowed values of settings that are one of a fixed set
+LyXSettings.CHOICES = {
+  prefixPolicy: Object.keys(LyXKeymapTrie.PREFIX_POLICIES),
+  matchMode: Object.keys(LyXKeyboardLayouts.MATCH_MODES),
+  keyboardLayout: Object.keys(LyXKeyboardLayouts.LAYOUTS),
+  macMMapping: ['ctrl', 'meta'],
+  logLevel: LyXLogger.LEVELS,
+  logCaptureLevel: LyXLogger.LEVELS
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXSettings;
+} else if (typeof window !== 'undefined') {
+  window.LyXSettings = LyXSettings;
+}
@@ -0,0 +1,401 @@
+/**
+ * Cross-device Sync for LyX Hotkey Extension
+ * Mirrors the configuration, keymaps, profiles and settings kept in
+ * chrome.storage.local into chrome.storage.sync. Local storage stays the
+ * source the extension reads from, so turning sync off, signing out or
+ * running over the sync quota simply leaves each device on its own copy
+ */
+
+class LyXSync {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onPulled] - Called with the storage keys changed by another device
+   */
+  constructor({ onPulled } = {}) {
+    this.log = new LyXLogger('sync');
+    this.onPulled = onPulled || (() => {});
+    this.queue = Promise.resolve();
+    this.pushTimer = null;
+  }
+
+  /**
+   * Watch both storage areas: local edits are pushed shortly after they are
+   * made, and pushes from other devices are merged in as they arrive
+   */
+  listen() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[LyXSync.MANIFEST_KEY]) {
+        this.run();
+      } else if (area === 'local' && changes.syncEnabled) {
+        this.run();
+      } else if (area === 'local' && LyXSync.SYNC_KEYS.some(key => key in changes)) {
+        this.enqueue(() => this.noteLocalChange(changes));
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.run(), LyXSync.PUSH_DELAY);
+      }
+    });
+  }
+
+  /**
+   * Synchronize once, after any sync already running
+   * @returns {Promise<Object>} - The resulting sync status
+   */
+  run() {
+    return this.enqueue(() => this.sync());
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(error => this.log.error('Sync failed:', error));
+    return result;
+  }
+
+  /**
+   * Remember when this device last changed a synced value, so that when both
+   * devices changed the same value the later change wins. Values written by
+   * a pull match the last synced values and are not counted
+   * @param {Object} changes - chrome.storage.onChanged changes of the local area
+   */
+  async noteLocalChange(changes) {
+    const { syncEnabled, syncState, config } = await chrome.storage.local.get(['syncEnabled', 'syncState', 'config']);
+    if (!syncEnabled || !syncState) {
+      return;
+    }
+
+    const synced = syncState.values || {};
+    const ignored = config ? ['hotkeyMappings'] : []; // Parsed from the synced text, see syncedValues()
+    const edited = LyXSync.SYNC_KEYS.some(key =>
+      !ignored.includes(key) && key in changes && !LyXSync.sameValue(changes[key].newValue, synced[key]));
+    if (edited) {
+      await chrome.storage.local.set({ syncState: { ...syncState, localChangedAt: Date.now() } });
+    }
+  }
+
+  /**
+   * Merge this device's values with the synced ones and push the result.
+   * Each value is merged on its own against the values both sides last
+   * agreed on: a value only one side changed takes that change, and a value
+   * both changed takes the later change and is reported as a conflict
+   * @returns {Promise<Object>} - The resulting sync status
+   */
+  async sync() {
+    const { syncEnabled, syncState } = await chrome.storage.local.get(['syncEnabled', 'syncState']);
+    if (!syncEnabled) {
+      return this.setStatus({ state: 'disabled' });
+    }
+
+    const state = syncState || { deviceId: crypto.randomUUID(), revision: 0, values: null, localChangedAt: 0 };
+    const local = LyXSync.syncedValues(await chrome.storage.local.get(LyXSync.SYNC_KEYS));
+
+    let remote;
+    try {
+      remote = await this.readRemote();
+    } catch (error) {
+      return this.setStatus({ state: 'error', message: error.message });
+    }
+
+    if (remote && remote.revision === state.revision && state.values &&
+        LyXSync.SYNC_KEYS.every(key => LyXSync.sameValue(local[key], state.values[key]))) {
+      return this.setStatus({ state: 'synced', size: remote.size }, true); // Nothing changed on either side
+    }
+
+    if (remote && remote.keymapVersion > LyXKeymapSchema.VERSION) {
+      return this.setStatus({
+        state: 'error',
+        message: 'Another device syncs a newer keymap format; update the extension on this device'
+      });
+    }
+    if (remote && remote.keymapVersion < LyXKeymapSchema.VERSION) {
+      Object.assign(remote.values, LyXKeymapSchema.migrateStoredData(remote.values, remote.keymapVersion));
+    }
+    if (remote) {
+      remote.values = LyXSync.syncedValues(remote.values); // Pushed by a version that synced parsed mappings
+    }
+
+    const result = LyXSync.merge(
+      LyXSync.syncedValues(state.values),
+      local,
+      remote && remote.values,
+      remote ? remote.changedAt : 0,
+      state.localChangedAt
+    );
+    const merged = LyXSync.syncedValues(result.merged);
+    const conflicts = result.conflicts.filter(conflict => conflict.key in merged);
+
+    // With configuration text, this device's mappings are parsed from it
+    // by the onPulled handler rather than pulled or removed
+    const pulled = LyXSync.SYNC_KEYS.filter(key =>
+      !(merged.config && key === 'hotkeyMappings') && !LyXSync.sameValue(merged[key], local[key]));
+    const removed = pulled.filter(key => merged[key] === undefined);
+    const updates = {};
+    for (const key of pulled.filter(key => merged[key] !== undefined)) {
+      updates[key] = merged[key];
+    }
+
+    // The state both sides agree on after this sync, as far as we know yet
+    let agreed = { revision: remote ? remote.revision : 0, values: remote ? remote.values : null };
+    let status = { state: conflicts.length > 0 ? 'conflict' : 'synced', conflicts };
+    let pushed = true;
+
+    if (!remote || LyXSync.SYNC_KEYS.some(key => !LyXSync.sameValue(merged[key], remote.values[key]))) {
+      try {
+        const size = await this.writeRemote(merged, {
+          revision: agreed.revision + 1,
+          deviceId: state.deviceId,
+          changedAt: state.localChangedAt || Date.now()
+        }, remote);
+        agreed = { revision: agreed.revision + 1, values: merged };
+        status.size = size;
+      } catch (error) {
+        // Keep working from local storage; the next local change retries
+        pushed = false;
+        const overQuota = error.message.includes('QUOTA_BYTES');
+        status = { state: overQuota ? 'over-quota' : 'error', message: error.message, conflicts };
+      }
+    } else {
+      status.size = remote.size;
+    }
+
+    await chrome.storage.local.set({
+      ...updates,
+      syncState: { ...state, ...agreed, localChangedAt: pushed ? 0 : state.localChangedAt }
+    });
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed);
+    }
+
+    if (pulled.length > 0) {
+      this.log.info('🔄 Pulled changes from another device:', pulled);
+      this.onPulled(pulled);
+    }
+    return this.setStatus(status);
+  }
+
+  /**
+   * Read the synced values, reassembled from their chunks
+   * @returns {Promise<Object|null>} - The manifest with the values and their stored size, or null if
+   *   nothing was synced yet
+   * @throws {Error} - If the chunks do not add up to the data the manifest describes
+   */
+  async readRemote() {
+    // One read of the whole area, so chunks and manifest come from the same write
+    const items = await chrome.storage.sync.get(null);
+    const manifest = items[LyXSync.MANIFEST_KEY];
+    if (!manifest) {
+      return null;
+    }
+
+    const text = LyXSync.chunkKeys(manifest.chunks).map(key => items[key] || '').join('');
+    if (text.length !== manifest.length) {
+      throw new Error('Synced data is incomplete; it will be read again when the other device finishes writing');
+    }
+
+    return { ...manifest, values: JSON.parse(text), size: LyXSync.measure(items) };
+  }
+
+  /**
+   * Write values to sync storage as chunks that each fit the per-item quota,
+   * together with a manifest describing them, in a single write
+   * @param {Object} values - Values of LyXSync.SYNC_KEYS
+   * @param {Object} write - {revision, deviceId, changedAt}: revision of the write, id of this
+   *   device and when the values were last changed on it
+   * @param {Object|null} previous - Manifest of the data being replaced
+   * @returns {Promise<number>} - Bytes used
+   * @throws {Error} - If the values do not fit the sync quota, or the write fails
+   */
+  async writeRemote(values, write, previous) {
+    const text = JSON.stringify(values);
+    const chunks = LyXSync.split(text, LyXSync.QUOTA_BYTES_PER_ITEM - LyXSync.CHUNK_PREFIX.length - 4);
+
+    const items = {};
+    chunks.forEach((chunk, index) => {
+      items[`${LyXSync.CHUNK_PREFIX}${index}`] = chunk;
+    });
+    items[LyXSync.MANIFEST_KEY] = {
+      ...write,
+      updatedAt: Date.now(),
+      keymapVersion: LyXKeymapSchema.VERSION,
+      chunks: chunks.length,
+      length: text.length
+    };
+
+    const size = LyXSync.measure(items);
+    if (size > LyXSync.QUOTA_BYTES || chunks.length + 1 > LyXSync.MAX_ITEMS) {
+      throw new Error(`Synced data needs ${size} bytes, over the ${LyXSync.QUOTA_BYTES} byte QUOTA_BYTES limit of Chrome sync`);
+    }
+
+    await chrome.storage.sync.set(items);
+
+    const stale = previous ? LyXSync.chunkKeys(previous.chunks).slice(chunks.length) : [];
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale);
+    }
+    return size;
+  }
+
+  /**
+   * Store the sync status for the options page
+   * @param {Object} status - {state, message, conflicts, size}
+   * @param {boolean} [keepConflicts] - Keep the conflicts of the previous status
+   * @returns {Promise<Object>} - The stored status
+   */
+  async setStatus(status, keepConflicts = false) {
+    const { syncStatus } = await chrome.storage.local.get(['syncStatus']);
+    const conflicts = keepConflicts && syncStatus ? (syncStatus.conflicts || []) : (status.conflicts || []);
+    const stored = {
+      ...status,
+      state: keepConflicts && conflicts.length > 0 ? 'conflict' : status.state,
+      conflicts,
+      at: Date.now()
+    };
+    await chrome.storage.local.set({ syncStatus: stored });
+    return stored;
+  }
+
+  /**
+   * Drop the values that are not synced. Mappings parsed from configuration
+   * text hold this platform's reading of M- (⌘ or Ctrl on a Mac, Alt
+   * elsewhere), so only the text is synced and every device parses it
+   * itself; mappings are synced only when there is no text, as after a
+   * JSON import
+   * @param {Object|null} values - Values of LyXSync.SYNC_KEYS
+   * @returns {Object|null} - The values to sync
+   */
+  static syncedValues(values) {
+    if (!values || !values.config) {
+      return values;
+    }
+    const { hotkeyMappings, ...synced } = values;
+    return synced;
+  }
+
+  /**
+   * Three-way merge of synced values
+   * @param {Object|null} base - Values both sides last agreed on, or null before the first sync
+   * @param {Object} local - Values on this device
+   * @param {Object|null} remote - Synced values, or null if nothing was synced yet
+   * @param {number} remoteAt - When the synced values were last changed on the device that pushed them
+   * @param {number} localAt - When this device last changed a value since the last sync
+   * @returns {{merged: Object, conflicts: Array<{key: string, kept: string}>}} - Merged values and
+   *   the values both sides changed, with the side that was kept ('local' or 'remote')
+   */
+  static merge(base, local, remote, remoteAt, localAt) {
+    const merged = {};
+    const conflicts = [];
+
+    for (const key of LyXSync.SYNC_KEYS) {
+      if (!remote) {
+        merged[key] = local[key];
+      } else if (!base) {
+        // A device joining sync takes over what is synced already
+        merged[key] = remote[key] !== undefined ? remote[key] : local[key];
+      } else if (LyXSync.sameValue(local[key], base[key])) {
+        merged[key] = remote[key];
+      } else if (LyXSync.sameValue(remote[key], base[key]) || LyXSync.sameValue(remote[key], local[key])) {
+        merged[key] = local[key];
+      } else {
+        const kept = remoteAt > localAt ? 'remote' : 'local';
+        merged[key] = kept === 'remote' ? remote[key] : local[key];
+        conflicts.push({ key, kept });
+      }
+    }
+    return { merged, conflicts };
+  }
+
+  /**
+   * Split text into pieces whose JSON encoding fits a byte budget
+   * @param {string} text - Text to split
+   * @param {number} budget - Maximum bytes per piece, as sync storage counts them
+   * @returns {Array<string>} - Pieces, in order
+   */
+  static split(text, budget) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(text.length, start + budget);
+      // Escapes (\" and \\ are common in bind files) and non-ASCII take more than a byte
+      while (LyXSync.byteLength(JSON.stringify(text.slice(start, end))) > budget) {
+        end = start + Math.max(1, Math.floor((end - start) * 0.9));
+      }
+      chunks.push(text.slice(start, end));
+      start = end;
+    }
+    return chunks;
+  }
+
+  /**
+   * Measure items the way chrome.storage.sync counts them against its quota
+   * @param {Object} items - Keys and values
+   * @returns {number} - Bytes of each key plus its JSON value
+   */
+  static measure(items) {
+    return Object.entries(items)
+      .reduce((total, [key, value]) => total + LyXSync.byteLength(key + JSON.stringify(value)), 0);
+  }
+
+  static byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  static chunkKeys(count) {
+    return Array.from({ length: count }, (_, index) => `${LyXSync.CHUNK_PREFIX}${index}`);
+  }
+
+  static sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Local storage keys mirrored to sync storage. Whether the extension is
+// enabled, tab pauses and the sync bookkeeping stay per device
+LyXSync.SYNC_KEYS = [
+  'config', 'hotkeyMappings', 'bindFiles',
+  'profiles', 'profileRules', 'denyList',
+  ...LyXSettings.KEYS
+];
+
+// Synced values the keymap is parsed from; pulling one of them reparses
+// the configuration text on this device
+LyXSync.PARSE_KEYS = ['config', 'bindFiles', 'macMMapping', 'scopeMathBindings'];
+
+// How the options page names synced values, e.g. in conflict reports
+LyXSync.KEY_LABELS = {
+  config: 'configuration text',
+  hotkeyMappings: 'keymap',
+  bindFiles: 'included bind files',
+  profiles: 'site profiles',
+  profileRules: 'profile rules',
+  denyList: 'deny list',
+  dialect: 'output dialect',
+  siteDialects: 'site dialects',
+  scopeMathBindings: 'math-only bindings',
+  keyboardLayout: 'keyboard layout',
+  matchMode: 'key matching',
+  prefixPolicy: 'prefix policy',
+  macMMapping: 'Mac M- mapping',
+  sequenceTimeout: 'sequence timeout',
+  showOverlay: 'sequence overlay',
+  logLevel: 'logging level',
+  logCaptureLevel: 'log capture level',
+  logSubsystems: 'logged subsystems'
+};
+
+LyXSync.MANIFEST_KEY = 'syncManifest';
+LyXSync.CHUNK_PREFIX = 'syncChunk';
+
+// chrome.storage.sync limits
+LyXSync.QUOTA_BYTES = 102400;
+LyXSync.QUOTA_BYTES_PER_ITEM = 8192;
+LyXSync.MAX_ITEMS = 512;
+
+// Local edits often come in bursts (a reparse writes config and mappings,
+// a slider writes on every step); push once they settle, well within the
+// write rate limits of sync storage
+LyXSync.PUSH_DELAY = 2000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LyXSync;
+} else if (typeof window !== 'undefined') {
+  window.LyXSync = LyXSync;
+}
@@ -0,0 +1,108 @@
+/**
+ * Key Round-Trip Test for LyX Hotkey Extension
+ * Parses the bundled bind files, presses every bound key sequence as
+ * keyboard events and checks that the names the content script gives those
+ * events lead back to the binding in the keymap trie. Run with:
+ *   node test-key-roundtrip.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+global.LyXLogger = require('./logger.js');
+global.LyXKeyNames = require('./key-names.js');
+global.LyXKeymapTrie = require('./keymap-trie.js');
+global.LyXKeyboardLayouts = require('./layouts.js');
+const LyXConfigParser = require('./lyx-parser.js');
+
+LyXLogger.configure({ logLevel: 'error', logCaptureLevel: 'off' });
+
+// Keys typed with Option or AltGr, which the bundled layouts do not describe
+const UNTYPABLE_KEYS = ['nobreakspace'];
+
+const bindFiles = Object.fromEntries(LyXConfigParser.BUNDLED_BIND_FILES.map(fileName =>
+  [fileName, fs.readFileSync(path.join(__dirname, fileName), 'utf8')]));
+
+/**
+ * Press a mapping key and name the presses the way the content script does
+ * @param {Array<string>} sequence - Concrete chords, see LyXKeymapTrie.expandSequence()
+ * @param {string} layoutId - Keyboard layout
+ * @param {string} matchMode - 'character' or 'physical'
+ * @returns {Array<string>|null} - Pressed chords, or null if a key cannot be pressed
+ */
+function press(sequence, layoutId, matchMode) {
+  const pressed = [];
+  for (const chord of sequence) {
+    const { modifiers, key } = LyXKeyNames.parseChord(chord);
+    const init = LyXKeyboardLayouts.keyPress(key, modifiers.includes('shift'), layoutId, matchMode);
+    if (!init) {
+      return null;
+    }
+    pressed.push(LyXKeyNames.chordFromEvent({
+      ...init,
+      ctrlKey: modifiers.includes('ctrl'),
+      altKey: modifiers.includes('alt'),
+      shiftKey: modifiers.includes('shift'),
+      metaKey: modifiers.includes('meta')
+    }, { physical: matchMode === 'physical' }));
+  }
+  return pressed;
+}
+
+/**
+ * List the bound key sequences of a bind file that do not lead back to their binding
+ * @param {string} fileName - Bundled bind file
+ * @param {string} layoutId - Keyboard layout
+ * @param {string} matchMode - 'character' or 'physical'
+ * @returns {{count: number, failures: Array<string>}} - Mapping keys checked and what went wrong
+ */
+function roundTrip(fileName, layoutId, matchMode) {
+  const parser = new LyXConfigParser();
+  const mappings = parser.parse(bindFiles[fileName], { fileName, files: bindFiles });
+  const trie = new LyXKeymapTrie(Object.fromEntries(mappings));
+  const failures = [];
+
+  for (const key of mappings.keys()) {
+    if (LyXKeyNames.parseSequence(key).some(chord => UNTYPABLE_KEYS.includes(chord.key))) {
+      continue;
+    }
+
+    // Optional modifiers (~shift) must work whenever the key can be typed
+    // with or without the modifier held; "~shift+quotedbl" has no unshifted press
+    let pressable = false;
+    for (const sequence of LyXKeymapTrie.expandSequence(LyXKeyNames.parseSequence(key))) {
+      const pressed = press(sequence, layoutId, matchMode);
+      if (!pressed) {
+        continue;
+      }
+      pressable = true;
+      const node = trie.lookup(pressed);
+      if (!node || !node.binding) {
+        failures.push(`"${key}": pressing "${sequence.join(' ')}" gives unbound "${pressed.join(' ')}"`);
+      } else if (!key.includes('~') && node.binding.key !== key) {
+        failures.push(`"${key}": pressing it reaches "${node.binding.key}" instead`);
+      }
+    }
+    if (!pressable) {
+      failures.push(`"${key}" cannot be pressed`);
+    }
+  }
+  return { count: mappings.size, failures };
+}
+
+for (const fileName of LyXConfigParser.BUNDLED_BIND_FILES) {
+  test(`every key bound in ${fileName} is reachable on a US keyboard`, () => {
+    const { count, failures } = roundTrip(fileName, 'us', 'character');
+    assert.ok(count > 0, `${fileName} has no bindings`);
+    assert.deepStrictEqual(failures, []);
+  });
+
+  // Physical matching names keys by their US position, so every layout reaches every key
+  for (const layoutId of Object.keys(LyXKeyboardLayouts.LAYOUTS)) {
+    test(`every key bound in ${fileName} is reachable by position on the ${layoutId} layout`, () => {
+      assert.deepStrictEqual(roundTrip(fileName, layoutId, 'physical').failures, []);
+    });
+  }
+}